@@ -0,0 +1,81 @@
+/**
+ * Actor worker for train-cli.mjs --actors=K (Ape-X style).
+ * Runs its own VecEnv with a fixed epsilon and a local copy of the
+ * Q-network, and streams transitions back to the learner in packed
+ * typed-array batches. The learner pushes fresh weights periodically, and
+ * a new env config when its curriculum moves to the next stage.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+import { parentPort, workerData } from 'worker_threads';
+import { createVecEnv } from './vec-env.js';
+import { createModel, selectActions, importWeights } from './model.mjs';
+import { NStepAccumulator } from './replay-memory.mjs';
+
+const { actorId, epsilon, envConfig, numEnvs, maxSteps, record, dueling, hiddenUnits, nStep, gamma, stepsPerMessage } = workerData;
+
+await tf.setBackend('cpu');
+await tf.ready();
+
+let vecEnv = createVecEnv(numEnvs, { ...envConfig, maxSteps, record });
+const { obsShape, obsSize } = vecEnv;
+const model = createModel(obsShape, 0, { dueling, hiddenUnits });
+let nStepAccumulators = Array.from({ length: numEnvs }, () => new NStepAccumulator(nStep, gamma));
+let obs = vecEnv.reset();
+
+// Messages only arrive between batches, so swapping the envs here is safe
+parentPort.on('message', msg => {
+    if (msg.type === 'weights') importWeights(model, msg.weights);
+    if (msg.type === 'env') {
+        vecEnv = createVecEnv(numEnvs, { ...msg.envConfig, maxSteps, record });
+        nStepAccumulators = Array.from({ length: numEnvs }, () => new NStepAccumulator(nStep, gamma));
+        obs = vecEnv.reset();
+    }
+});
+
+while (true) {
+    const ready = [];
+    const episodes = [];
+
+    for (let s = 0; s < stepsPerMessage; s++) {
+        const stepActions = selectActions(model, obs, obsShape, epsilon);
+        const { obs: nextObs, rewards, dones, infos } = vecEnv.step(stepActions);
+
+        for (let i = 0; i < numEnvs; i++) {
+            const transition = {
+                state: obs.slice(i * obsSize, (i + 1) * obsSize),
+                action: stepActions[i],
+                reward: rewards[i],
+                nextState: infos[i].terminalObs || nextObs.slice(i * obsSize, (i + 1) * obsSize),
+                done: dones[i]
+            };
+            ready.push(...nStepAccumulators[i].push(transition, !!infos[i].episode));
+            if (infos[i].episode) episodes.push(infos[i].episode);
+        }
+        obs = nextObs;
+    }
+
+    // Pack into flat typed arrays so the batch can be transferred, not copied
+    const count = ready.length;
+    const states = new Float32Array(count * obsSize);
+    const nextStates = new Float32Array(count * obsSize);
+    const actions = new Uint8Array(count);
+    const rewards = new Float32Array(count);
+    const discounts = new Float32Array(count);
+    ready.forEach((t, row) => {
+        states.set(t.state, row * obsSize);
+        nextStates.set(t.nextState, row * obsSize);
+        actions[row] = t.action;
+        rewards[row] = t.reward;
+        discounts[row] = t.discount;
+    });
+
+    // steps counts env steps; with n-step returns count can lag behind it
+    parentPort.postMessage(
+        { type: 'transitions', actorId, count, steps: stepsPerMessage * numEnvs, states, nextStates, actions, rewards, discounts, episodes },
+        [states.buffer, nextStates.buffer, actions.buffer, rewards.buffer, discounts.buffer]
+    );
+
+    // Yield so weight updates from the learner get delivered
+    await new Promise(resolve => setImmediate(resolve));
+}
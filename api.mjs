@@ -0,0 +1,252 @@
+/**
+ * JSON and Server-Sent-Events endpoints for play.mjs.
+ *
+ *   GET /api/log?run=<name>&since=<n>   rows of train-log.csv after the first n
+ *   GET /api/log/stream?run=<name>      SSE: the whole log, then new rows as they land
+ *   GET /api/checkpoints?run=<name>     model/ and model.best/ state, newest first
+ *   GET /api/models                     every checkpoint directory under the project
+ *
+ * run is optional and selects runs/<name>/ (see train-cli.mjs --run);
+ * without it the top-level model/ and train-log.csv are used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { checkRunName } from './config.mjs';
+
+const CHECKPOINT_DIRS = ['model', 'model.best'];
+// Never scanned for checkpoints
+const SKIP_DIRS = new Set(['node_modules', 'runs', 'recordings']);
+const POLL_MS = 1000;
+
+// runs/<name>/ or the project root; checkRunName keeps a query from walking
+// out of runs/
+export function resolveRunDir(rootDir, run) {
+    if (!run) return rootDir;
+    return path.join(rootDir, 'runs', checkRunName(run));
+}
+
+function parseValue(raw) {
+    if (raw === '') return null;
+    const value = Number(raw);
+    return Number.isNaN(value) ? raw : value;
+}
+
+// Split CSV text into row objects keyed by the header; a trailing partial
+// line (the trainer mid-write) is returned as rest for the next read
+function parseRows(columns, text) {
+    const lines = text.split('\n');
+    const rest = lines.pop();
+    const rows = lines.filter(Boolean).map(line => {
+        const values = line.split(',');
+        return Object.fromEntries(columns.map((c, i) => [c, parseValue(values[i] ?? '')]));
+    });
+    return { rows, rest };
+}
+
+function readLog(logFile) {
+    if (!fs.existsSync(logFile)) return { columns: [], rows: [] };
+    const text = fs.readFileSync(logFile, 'utf-8');
+    const newline = text.indexOf('\n');
+    if (newline < 0) return { columns: [], rows: [] };
+    const columns = text.slice(0, newline).split(',');
+    return { columns, rows: parseRows(columns, text.slice(newline + 1)).rows };
+}
+
+// model.json mtime and state.json of a checkpoint directory, or null if it
+// has no model (yet, or caught mid-swap by saveCheckpoint)
+function readCheckpoint(dir) {
+    try {
+        const stat = fs.statSync(path.join(dir, 'model.json'));
+        const statePath = path.join(dir, 'state.json');
+        const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf-8')) : {};
+        return { state, mtime: stat.mtime.toISOString() };
+    } catch {
+        return null;
+    }
+}
+
+// state.json and save time of each checkpoint directory of a run
+export function checkpointInfo(runDir) {
+    const checkpoints = [];
+    for (const name of CHECKPOINT_DIRS) {
+        const checkpoint = readCheckpoint(path.join(runDir, name));
+        if (!checkpoint) continue;
+        const { state, mtime } = checkpoint;
+        checkpoints.push({
+            name,
+            savedAt: mtime,
+            episode: state.episode ?? null,
+            totalSteps: state.totalSteps ?? null,
+            bestAvgReward: state.bestAvgReward ?? null,
+            bestEvalScore: state.bestEvalScore ?? null,
+            env: state.env ?? null,
+            variant: state.variant ?? null
+        });
+    }
+    checkpoints.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    return { newest: checkpoints[0]?.name ?? null, checkpoints };
+}
+
+// Candidate checkpoint directories in dir. Hidden ones, SKIP_DIRS and the
+// .tmp directories saveCheckpoint writes into are left out.
+function subdirs(dir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    return entries
+        .filter(e => e.isDirectory() && !e.name.startsWith('.') && !e.name.endsWith('.tmp') && !SKIP_DIRS.has(e.name))
+        .map(e => e.name);
+}
+
+// Every checkpoint play.mjs can serve: model/, model.backup/, model.best/ and
+// any copied snapshot directory at the top level, then the same inside each
+// runs/<name>/. Paths are relative to rootDir with forward slashes, ready
+// for /<path>/model.json. Top level first, then runs by name; newest first within each.
+export function listModels(rootDir) {
+    const runs = [null, ...subdirs(path.join(rootDir, 'runs')).sort()];
+    const models = [];
+    for (const run of runs) {
+        const base = run ? path.join(rootDir, 'runs', run) : rootDir;
+        const found = [];
+        for (const name of subdirs(base)) {
+            const checkpoint = readCheckpoint(path.join(base, name));
+            if (!checkpoint) continue;
+            const { state, mtime } = checkpoint;
+            found.push({
+                path: run ? `runs/${run}/${name}` : name,
+                run,
+                name,
+                mtime,
+                episode: state.episode ?? null,
+                totalSteps: state.totalSteps ?? null,
+                epsilon: state.epsilon ?? null,
+                bestAvgReward: state.bestAvgReward ?? null,
+                bestEvalScore: state.bestEvalScore ?? null,
+                env: state.env ?? null,
+                variant: state.variant ?? null
+            });
+        }
+        found.sort((a, b) => b.mtime.localeCompare(a.mtime));
+        models.push(...found);
+    }
+    return models;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(body));
+}
+
+// Tail the log for one SSE client: polled rather than fs.watch'ed, which is
+// unreliable for appends on some platforms. A file that shrinks (train-cli.mjs
+// archived it and started a new one) restarts the stream with a reset event.
+function streamLog(req, res, runDir) {
+    const logFile = path.join(runDir, 'train-log.csv');
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    let offset = 0;
+    let columns = null;
+    let rest = '';
+    let lastCheckpoints = '';
+
+    function poll() {
+        const size = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+        if (size < offset) {
+            offset = 0;
+            columns = null;
+            rest = '';
+            send('reset', {});
+        }
+        if (size > offset) {
+            const fd = fs.openSync(logFile, 'r');
+            const buffer = Buffer.alloc(size - offset);
+            fs.readSync(fd, buffer, 0, buffer.length, offset);
+            fs.closeSync(fd);
+            offset = size;
+
+            let text = rest + buffer.toString('utf-8');
+            if (!columns) {
+                const newline = text.indexOf('\n');
+                if (newline < 0) {
+                    rest = text;
+                    return;
+                }
+                columns = text.slice(0, newline).split(',');
+                text = text.slice(newline + 1);
+                send('columns', columns);
+            }
+            const parsed = parseRows(columns, text);
+            rest = parsed.rest;
+            if (parsed.rows.length > 0) send('rows', parsed.rows);
+        }
+
+        const checkpoints = JSON.stringify(checkpointInfo(runDir));
+        if (checkpoints !== lastCheckpoints) {
+            lastCheckpoints = checkpoints;
+            res.write(`event: checkpoints\ndata: ${checkpoints}\n\n`);
+        }
+    }
+
+    // The log can vanish between stat and read while it is being archived;
+    // the next poll picks the new one up. Any other error ends this stream
+    // (thrown from the timer it would take the whole server down).
+    let timer = null;
+    const safePoll = () => {
+        try {
+            poll();
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            console.error(`Log stream for ${runDir} failed: ${err.message}`);
+            clearInterval(timer);
+            res.end();
+        }
+    };
+    timer = setInterval(safePoll, POLL_MS);
+    safePoll();
+    req.on('close', () => clearInterval(timer));
+}
+
+// The request's run directory, or null after answering 400 for a bad ?run=
+function requestRunDir(res, url, rootDir, defaultRun) {
+    try {
+        return resolveRunDir(rootDir, url.searchParams.get('run') || defaultRun);
+    } catch (err) {
+        sendJson(res, 400, { error: err.message });
+        return null;
+    }
+}
+
+// Returns true if the request was an API call (and has been answered).
+// Only the per-run endpoints resolve ?run=, so a bad one can't break /api/models.
+export function handleApi(req, res, rootDir, defaultRun) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) return false;
+
+    if (url.pathname === '/api/log') {
+        const runDir = requestRunDir(res, url, rootDir, defaultRun);
+        if (!runDir) return true;
+        const { columns, rows } = readLog(path.join(runDir, 'train-log.csv'));
+        const since = parseInt(url.searchParams.get('since') || '0');
+        sendJson(res, 200, { columns, total: rows.length, rows: rows.slice(since) });
+    } else if (url.pathname === '/api/log/stream') {
+        const runDir = requestRunDir(res, url, rootDir, defaultRun);
+        if (runDir) streamLog(req, res, runDir);
+    } else if (url.pathname === '/api/checkpoints') {
+        const runDir = requestRunDir(res, url, rootDir, defaultRun);
+        if (runDir) sendJson(res, 200, checkpointInfo(runDir));
+    } else if (url.pathname === '/api/models') {
+        sendJson(res, 200, { models: listModels(rootDir) });
+    } else {
+        sendJson(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+    }
+    return true;
+}
@@ -0,0 +1,188 @@
+/**
+ * Training configuration for train-cli.mjs.
+ * Every hyperparameter has a default here. An --config=exp.json file
+ * overrides the defaults, and command-line flags override both.
+ */
+
+import fs from 'fs';
+
+export const DEFAULTS = {
+    algo: 'dqn',              // dqn | ppo
+    seed: null,               // trainer RNG (exploration, sampling, env seeds); null = random
+
+    // Environment
+    obsMode: 'vector',        // vector | grid | pixels
+    frameStack: 1,
+    levels: 'classic',        // level set from levels.js (classic | arcade) or a JSON file of levels
+    powerups: false,          // capsules from broken bricks, multi-ball; extends the observation
+    reward: 'score',          // reward preset from rewards.js: score | clipped | bricks | paddle | sparse
+    startLevel: 1,            // difficulty, see DIFFICULTY_DEFAULTS in env.js
+    ballSpeed: 5,
+    paddleWidth: 120,
+    paddleSpeed: 8,
+    lives: 3,
+    brickRows: 5,
+    physics: 'legacy',        // legacy | swept (continuous collisions, see PHYSICS_MODES in env.js)
+    substeps: 1,              // swept sweeps per step
+    stallLimit: 0,            // serve a ball again after this many steps without touching the paddle or a breakable brick, 0 = never
+    curriculum: '',           // stages of easier difficulty, passed as the avg game reward improves: a preset from curriculum.mjs (basic) or a JSON file
+    numEnvs: 1,               // envs stepped in lockstep (per actor with numActors)
+    maxStepsPerEpisode: 10000,
+    maxTotalSteps: 0,         // stop (and save) after this many env steps, 0 = until Ctrl+C
+
+    // Optimization
+    lr: 0.001,
+    lrDecay: 0.95,            // lr *= lrDecay every lrDecayEvery episodes
+    lrDecayEvery: 1000,
+    lrMin: 0.0001,
+    batchSize: 64,
+    gamma: 0.99,
+    hiddenUnits: null,        // dense widths; null = 128,128,64 (vector), 256,256,128 (grid), 256 (pixels)
+
+    // DQN
+    memorySize: 50000,
+    epsilonStart: 1.0,
+    epsilonEnd: 0.01,
+    epsilonDecay: 0.9995,     // per episode
+    targetUpdateFreq: 1000,   // env steps between target network syncs
+    trainEvery: 4,            // vector steps per gradient step
+    double: false,
+    dueling: false,
+    loss: 'mse',              // mse | huber
+    clipNorm: 0,              // global gradient norm cap, 0 = off
+    nStep: 1,
+
+    // Prioritized replay
+    per: false,
+    perAlpha: 0.6,
+    perAlphaEnd: null,        // null = keep perAlpha fixed
+    perBeta: 0.4,
+    perBetaEnd: 1.0,
+    perAnnealSteps: 1000000,  // env steps to move alpha/beta from start to end
+
+    // Actor workers (Ape-X)
+    numActors: 0,
+    actorStepsPerMessage: 64, // vector steps an actor batches per postMessage
+    weightSyncFreq: 100,      // learner gradient steps between actor weight syncs
+    apexEpsilonBase: 0.4,     // actor i uses base^(1 + alpha * i / (K - 1))
+    apexEpsilonAlpha: 7,
+
+    // PPO
+    ppoSteps: 128,            // rollout length per env
+    ppoEpochs: 4,
+    ppoMinibatch: 256,
+    ppoClip: 0.2,
+    gaeLambda: 0.95,
+    entropyCoef: 0.01,
+    valueCoef: 0.5,
+    ppoMaxGradNorm: 0.5,
+
+    // Checkpoints
+    saveEvery: 1000,          // env steps between checkpoints
+    avgWindow: 100,           // episodes in the running average that picks model.best
+    fullCheckpoint: false,    // also save replay memory, optimizer state and target network to model.full/, for an exact --resume
+    fullSaveEvery: 50000,     // env steps between full checkpoints (and one when training stops)
+
+    // Evaluation
+    evalEpisodes: 0,          // > 0: pick model.best by greedy eval mean score instead
+    evalEvery: 10000,         // env steps between evals
+    evalSeed: 1000,           // eval episode k plays seed evalSeed + k
+
+    // Episode recordings (see recording.js), saved under recordings/
+    recordEvery: 0,           // record every Nth episode each env set starts, 0 = off
+    recordObs: false,         // also keep per-step observations
+    recordInfo: false,        // also keep per-step info
+
+    // Demonstrations (recordings, e.g. human games from watch.html)
+    demos: '',                // comma-separated recording files or directories
+    demoPrefill: true,        // push demo transitions into replay memory (DQN)
+    bcEpochs: 0,              // behavior-cloning epochs before training, 0 = off
+    bcMargin: 0.8             // large-margin loss margin when pretraining a Q-network
+};
+
+// Short flag names from before config files existed
+const FLAG_ALIASES = {
+    batch: 'batchSize',
+    obs: 'obsMode',
+    frames: 'frameStack',
+    envs: 'numEnvs',
+    actors: 'numActors',
+    nstep: 'nStep',
+    'per-anneal': 'perAnnealSteps',
+    'ent-coef': 'entropyCoef',
+    'vf-coef': 'valueCoef'
+};
+
+// Flags that control the run itself rather than the experiment
+const RUN_FLAGS = ['resume', 'config', 'run'];
+
+const toCamel = name => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+// Coerce a raw flag/file value to the type of its default
+function parseValue(key, raw) {
+    const def = DEFAULTS[key];
+    if (typeof raw !== 'string') return raw; // already typed (JSON file)
+    if (typeof def === 'boolean') return raw === '' || raw === 'true';
+    if (typeof def === 'number') {
+        const value = Number(raw);
+        if (Number.isNaN(value)) throw new Error(`--${key} expects a number, got "${raw}"`);
+        return value;
+    }
+    if (def === null) {
+        // Optional number or comma-separated list of numbers
+        if (raw === 'null') return null;
+        const values = raw.split(',').map(Number);
+        if (values.some(Number.isNaN)) throw new Error(`--${key} expects numbers, got "${raw}"`);
+        return values.length === 1 && key !== 'hiddenUnits' ? values[0] : values;
+    }
+    return raw;
+}
+
+function checkKeys(values, source) {
+    const unknown = Object.keys(values).filter(key => !(key in DEFAULTS));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown option${unknown.length > 1 ? 's' : ''} in ${source}: ${unknown.join(', ')}`);
+    }
+}
+
+// Run names become directories under runs/, so they can't contain path
+// separators or start with a dot (which would allow .. and hidden dirs)
+export function checkRunName(name) {
+    if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) throw new Error(`Invalid run name "${name}"`);
+    return name;
+}
+
+// Parse argv into { config, run, resume, configFile }. config is the fully
+// resolved set of hyperparameters; base (e.g. a run's frozen config) sits
+// between the defaults and the --config file.
+export function loadConfig(argv, base = {}) {
+    const flags = {};
+    const runFlags = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) throw new Error(`Unexpected argument "${arg}"`);
+        const [, name, value = ''] = match;
+        if (RUN_FLAGS.includes(name)) {
+            runFlags[name] = value;
+            continue;
+        }
+        flags[FLAG_ALIASES[name] || toCamel(name)] = value;
+    }
+    checkKeys(flags, 'command line');
+
+    let fileValues = {};
+    if (runFlags.config) {
+        fileValues = JSON.parse(fs.readFileSync(runFlags.config, 'utf-8'));
+        checkKeys(fileValues, runFlags.config);
+    }
+
+    const config = { ...DEFAULTS, ...base, ...fileValues };
+    for (const [key, raw] of Object.entries(flags)) config[key] = parseValue(key, raw);
+
+    return {
+        config,
+        run: runFlags.run ? checkRunName(runFlags.run) : null,
+        resume: 'resume' in runFlags,
+        configFile: runFlags.config || null
+    };
+}
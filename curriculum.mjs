@@ -0,0 +1,64 @@
+/**
+ * Curricula for train-cli.mjs --curriculum.
+ * A curriculum is a list of stages, each a set of createEnv difficulty
+ * options (see DIFFICULTY_DEFAULTS in env.js) laid over the run's env
+ * config. Training starts on the first stage and moves on once the average
+ * game reward (the default score reward, whatever --reward the run trains
+ * on) over avgWindow episodes played on the current stage reaches its
+ * advanceAt; the last stage needs none and is kept for the rest of the run.
+ */
+
+import fs from 'fs';
+import { DIFFICULTY_DEFAULTS } from './env.js';
+
+// advanceAt thresholds are in the default score reward (info.rawReward)
+export const CURRICULA = {
+    // Wide paddle, slow ball and a thin wall first, then the normal game,
+    // then games that start on level 2 with its faster ball
+    basic: [
+        { paddleWidth: 200, ballSpeed: 4, lives: 5, brickRows: 2, advanceAt: 200 },
+        { paddleWidth: 160, ballSpeed: 4.5, brickRows: 3, advanceAt: 300 },
+        { advanceAt: 500 },
+        { startLevel: 2 }
+    ]
+};
+
+// A preset name, a JSON file of stages or an array of stages; '' (or null)
+// means no curriculum and returns null
+export function resolveCurriculum(curriculum) {
+    if (!curriculum) return null;
+    let stages = curriculum;
+    if (typeof curriculum === 'string') {
+        if (curriculum.endsWith('.json')) {
+            stages = JSON.parse(fs.readFileSync(curriculum, 'utf-8'));
+        } else if (CURRICULA[curriculum]) {
+            stages = CURRICULA[curriculum];
+        } else {
+            throw new Error(`Unknown curriculum "${curriculum}" (expected a JSON file or one of: ${Object.keys(CURRICULA).join(', ')})`);
+        }
+    }
+    if (!Array.isArray(stages) || stages.length === 0) throw new Error('A curriculum needs at least one stage');
+
+    stages.forEach((stage, i) => {
+        const unknown = Object.keys(stage).filter(key => key !== 'advanceAt' && !(key in DIFFICULTY_DEFAULTS));
+        if (unknown.length > 0) {
+            throw new Error(`Curriculum stage ${i + 1}: unknown option${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} ` +
+                `(expected advanceAt or one of: ${Object.keys(DIFFICULTY_DEFAULTS).join(', ')})`);
+        }
+        if (i < stages.length - 1 && typeof stage.advanceAt !== 'number') {
+            throw new Error(`Curriculum stage ${i + 1}: every stage but the last needs a numeric advanceAt`);
+        }
+    });
+    return stages;
+}
+
+// The createEnv options of a stage
+export function stageOptions({ advanceAt, ...options }) {
+    return options;
+}
+
+// e.g. "paddleWidth=200 lives=5", or "default difficulty"
+export function describeStage(stage) {
+    const entries = Object.entries(stageOptions(stage));
+    return entries.length > 0 ? entries.map(([key, value]) => `${key}=${value}`).join(' ') : 'default difficulty';
+}
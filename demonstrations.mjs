@@ -0,0 +1,104 @@
+/**
+ * Demonstrations for train-cli.mjs: recordings (recording.js) of human games
+ * from watch.html, or of any other episode, turned into transitions for
+ * pre-filling replay memory and into (obs, action) pairs for behavior cloning.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+import fs from 'fs';
+import path from 'path';
+import { createEnv } from './env.js';
+import { createReplay } from './recording.js';
+import { NUM_ACTIONS } from './model.mjs';
+
+// Expand a comma-separated list of files and directories into recording files
+function findRecordingFiles(spec) {
+    return spec.split(',').filter(Boolean).flatMap(entry => {
+        if (!fs.statSync(entry).isDirectory()) return [entry];
+        return fs.readdirSync(entry)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => path.join(entry, name));
+    });
+}
+
+// Re-simulate every recording under the env it was played in (levels,
+// physics, difficulty), observed with envConfig's observation settings so a
+// demo captured in one obs mode can train an agent that uses another, and
+// rewarded with envConfig's reward. Returns one transition list per episode,
+// in play order. Recordings whose rewards no longer match env.js are skipped
+// with a warning.
+export function loadDemonstrations(spec, envConfig) {
+    const episodes = [];
+    for (const file of findRecordingFiles(spec)) {
+        const recording = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const observed = { ...recording.env, obsMode: envConfig.obsMode, frameStack: envConfig.frameStack };
+        // The recorded rewards are in the recording's own reward
+        const replay = createReplay({ ...recording, env: observed });
+        if (replay.divergedAt !== null) {
+            console.warn(`Skipping demo ${file}: diverges from env.js at step ${replay.divergedAt}`);
+            continue;
+        }
+
+        // The reward doesn't change the game, so the same actions replay it
+        const env = createEnv({ ...observed, reward: envConfig.reward, seed: recording.seed });
+        let state = env.restore(recording.start);
+        const transitions = [];
+        for (let t = 0; t < replay.length; t++) {
+            const action = replay.actionAt(t);
+            const result = env.step(action);
+            transitions.push({ state, action, reward: result.reward, nextState: result.obs, done: result.done });
+            state = result.obs;
+        }
+        if (transitions.length > 0) episodes.push({ file, transitions });
+    }
+    return episodes;
+}
+
+// Supervised pretraining on demo (obs, action) pairs. Q-networks use the
+// DQfD large-margin loss max_a [Q(s,a) + margin * (a != a_E)] - Q(s,a_E), which
+// ranks the demonstrated action first without distorting Q-value scale;
+// policy networks (PPO logits) use cross-entropy. Returns the final epoch's mean loss.
+export async function behaviorClone(model, optimizer, pairs, obsShape, {
+    epochs = 10,
+    batchSize = 64,
+    loss = 'margin',
+    margin = 0.8,
+    random = Math.random
+} = {}) {
+    const obsSize = obsShape.reduce((a, b) => a * b, 1);
+    const variables = model.trainableWeights.map(w => w.read());
+    const order = pairs.map((_, i) => i);
+    let epochLoss = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        let lossSum = 0;
+        let batches = 0;
+        for (let start = 0; start < order.length; start += batchSize) {
+            const batch = order.slice(start, start + batchSize).map(i => pairs[i]);
+            const obsData = new Float32Array(batch.length * obsSize);
+            batch.forEach((p, k) => obsData.set(p.state, k * obsSize));
+            const obs = tf.tensor(obsData, [batch.length, ...obsShape]);
+            const expert = tf.oneHot(tf.tensor1d(batch.map(p => p.action), 'int32'), NUM_ACTIONS);
+
+            const { value, grads } = tf.variableGrads(() => {
+                const outputs = model.apply(obs, { training: true });
+                if (loss === 'crossEntropy') return tf.losses.softmaxCrossEntropy(expert, outputs);
+                const margins = tf.sub(1, expert).mul(margin);
+                return outputs.add(margins).max(1).sub(outputs.mul(expert).sum(1)).mean();
+            }, variables);
+            optimizer.applyGradients(grads);
+            lossSum += (await value.data())[0];
+            batches++;
+
+            tf.dispose([obs, expert, value, grads]);
+        }
+        epochLoss = lossSum / batches;
+    }
+    return epochLoss;
+}
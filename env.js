@@ -1,62 +1,230 @@
 /**
  * Headless Breakout environment for RL training.
- * Extracted from game.html with minimal modifications.
+ * Shared by the trainer and by watch.html, where humans play it too.
+ *
+ * Gymnasium-style: reset({ seed }) returns the first observation and
+ * step(action) returns { obs, reward, terminated, truncated, done, info },
+ * with the same info keys on every step. Wrappers are in wrappers.js.
  */
 
+import { GRID_ROWS, GRID_COLS, resolveLevels } from './levels.js';
+import { resolveReward, scoreReward } from './rewards.js';
+
+// Mulberry32: tiny seedable PRNG whose whole state is one 32-bit integer,
+// so it can be captured in a snapshot and restored exactly.
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return {
+        next() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+        getState: () => state,
+        setState: (s) => { state = s >>> 0; }
+    };
+}
+
+export const OBS_MODES = ['vector', 'grid', 'pixels'];
+
+// Discrete actions, by index
+export const ACTION_MEANINGS = ['LEFT', 'NOOP', 'RIGHT'];
+
+// Names of the first eight vector/grid observation features, in getObs() order
+export const OBS_FEATURES = ['ball_x', 'ball_y', 'ball_dx', 'ball_dy', 'paddle_x', 'launched', 'lives', 'level'];
+
+// Power-ups (createEnv({ powerups: true })): a destroyed brick sometimes drops
+// a capsule, caught with the paddle for its effect
+export const POWERUP_TYPES = ['wide', 'multi', 'slow', 'life'];
+// Appended after the other vector/grid features when power-ups are on
+export const POWERUP_FEATURES = [
+    'ball2_x', 'ball2_y', 'ball2_dx', 'ball2_dy', 'balls', 'paddle_width', 'slow',
+    'powerup_x', 'powerup_y', ...POWERUP_TYPES.map(type => `powerup_${type}`)
+];
+const POWERUP_DROP_CHANCE = 0.15;
+const POWERUP_FALL_SPEED = 3;
+const POWERUP_SIZE = { width: 30, height: 12 };
+const WIDE_FACTOR = 1.5;
+const WIDE_STEPS = 600;
+const SLOW_FACTOR = 0.6;
+const SLOW_STEPS = 400;
+const MAX_BALLS = 3;
+const MAX_LIVES = 5;
+// Collision physics (createEnv({ physics })). 'legacy' moves each ball a
+// whole step and then tests for overlaps, so a fast ball can pass through a
+// brick or a paddle edge and hit several bricks at once; 'swept' follows the
+// ball along its path and bounces off the first thing it touches, then
+// carries on with the rest of the move. Its paddle sets the ball's angle
+// rather than its dx, so the aim doesn't change as levels speed the ball
+// up. Models trained on one can behave differently on the other, so
+// checkpoints record which they used.
+export const PHYSICS_MODES = ['legacy', 'swept'];
+const MAX_BOUNCE_ANGLE = Math.PI / 3;  // swept: off vertical, at the paddle's ends
+const MAX_CONTACTS = 8;                // swept: bounces resolved per ball per sub-step
+
+// Difficulty options of createEnv and their defaults (the original game).
+// A game starting at level N has the ball speed it would have reached there.
+export const DIFFICULTY_DEFAULTS = {
+    startLevel: 1,
+    ballSpeed: 5,     // launch speed on level 1, +0.5 per level
+    paddleWidth: 120,
+    paddleSpeed: 8,
+    lives: 3,
+    brickRows: GRID_ROWS  // top rows of each layout in play; the rest stay empty
+};
+
+function resolveDifficulty(config) {
+    const difficulty = {};
+    for (const [key, fallback] of Object.entries(DIFFICULTY_DEFAULTS)) {
+        const value = config[key] ?? fallback;
+        const integer = ['startLevel', 'lives', 'brickRows'].includes(key);
+        if (typeof value !== 'number' || !(value > 0) || (integer && !Number.isInteger(value))) {
+            throw new Error(`${key} must be a positive ${integer ? 'integer' : 'number'}, got ${value}`);
+        }
+        difficulty[key] = value;
+    }
+    if (difficulty.brickRows > GRID_ROWS) throw new Error(`brickRows must be at most ${GRID_ROWS}`);
+    return difficulty;
+}
+
 export function createEnv(config = {}) {
     const width = config.width || 800;
     const height = config.height || 600;
+    let seed = config.seed ?? Math.floor(Math.random() * 4294967296);
+    const rng = createRng(seed);
+    const difficulty = resolveDifficulty(config);
+    if (difficulty.paddleWidth * WIDE_FACTOR > width) throw new Error(`paddleWidth must leave room to widen within ${width}`);
 
     // Paddle
     const paddle = {
-        width: 120,
+        width: difficulty.paddleWidth,
         height: 15,
-        x: 340,
+        x: (width - difficulty.paddleWidth) / 2,
         y: 560,
-        speed: 8
+        speed: difficulty.paddleSpeed
     };
 
-    // Ball
+    // Ball. With power-ups, multi-ball adds more in extraBalls; this one is
+    // always the first and the one the base observation describes.
     const ball = {
         x: 400,
         y: 545,
         radius: 8,
         dx: 5,
         dy: -5,
-        speed: 5
+        speed: difficulty.ballSpeed
     };
 
-    // Brick config
-    const brickRows = 5;
-    const brickCols = 10;
+    // Brick config: every level is laid out on the same grid (see levels.js)
+    const brickRows = GRID_ROWS;
+    const brickCols = GRID_COLS;
     const brickWidth = 70;
     const brickHeight = 25;
     const brickPadding = 8;
     const brickOffsetTop = 60;
     const brickOffsetLeft = 35;
+    const brickColors = ['#ff0066', '#ff6600', '#ffcc00', '#00ff66', '#00ccff', '#cc00ff'];
+    const indestructibleColor = '#8899aa';
+    const levels = resolveLevels(config.levels);
+    levels.forEach(({ name, cells }) => {
+        if (!cells.some(c => c.row < difficulty.brickRows && !c.indestructible)) {
+            throw new Error(`Level "${name}" has no breakable bricks in its top ${difficulty.brickRows} rows`);
+        }
+    });
+    // Observations scale remaining hits by the toughest brick in the set
+    const maxBrickHits = Math.max(...levels.flatMap(l => l.cells.filter(c => !c.indestructible).map(c => c.hits)));
+
+    const powerups = Boolean(config.powerups);
+    const physics = config.physics || 'legacy';
+    if (!PHYSICS_MODES.includes(physics)) {
+        throw new Error(`Unknown physics "${physics}" (expected one of: ${PHYSICS_MODES.join(', ')})`);
+    }
+    // Swept balls (and the paddle under them) can move in several smaller
+    // sweeps per step, so a ball meets the paddle where it is mid-move
+    const substeps = config.substeps ?? 1;
+    if (!Number.isInteger(substeps) || substeps < 1) throw new Error(`substeps must be a positive integer, got ${substeps}`);
+    if (substeps > 1 && physics !== 'swept') throw new Error("substeps needs physics: 'swept'");
+    // A ball can settle into a loop between walls and indestructible bricks.
+    // With stallLimit N, one that goes N steps without touching the paddle or
+    // a breakable brick is served again from the paddle; 0 (the original
+    // game) never does.
+    const stallLimit = config.stallLimit ?? 0;
+    if (!Number.isInteger(stallLimit) || stallLimit < 0) throw new Error(`stallLimit must be a non-negative integer, got ${stallLimit}`);
+    const rewardFn = resolveReward(config.reward);
+
+    // Observation config
+    const obsMode = config.obsMode || 'vector';
+    if (!OBS_MODES.includes(obsMode)) {
+        throw new Error(`Unknown obsMode "${obsMode}" (expected one of: ${OBS_MODES.join(', ')})`);
+    }
+    const pixelScale = config.pixelScale || 10;
+    const frameStack = config.frameStack || 1;
+    const pixelWidth = Math.ceil(width / pixelScale);
+    const pixelHeight = Math.ceil(height / pixelScale);
+    const powerupFeatureCount = powerups ? POWERUP_FEATURES.length : 0;
+    const obsShape = obsMode === 'pixels' ? [pixelHeight, pixelWidth, frameStack] :
+                     obsMode === 'grid' ? [8 + brickRows * brickCols + powerupFeatureCount] :
+                     [8 + brickRows + powerupFeatureCount];
+    // Gymnasium-style space descriptions. Pixels are in [0, 1]; vector and
+    // grid features are normalized but not strictly bounded (the ball speeds
+    // up every level).
+    const observationSpace = {
+        type: 'box',
+        shape: obsShape,
+        dtype: 'float32',
+        low: obsMode === 'pixels' ? 0 : -Infinity,
+        high: obsMode === 'pixels' ? 1 : Infinity
+    };
+    const actionSpace = { type: 'discrete', n: ACTION_MEANINGS.length, meanings: ACTION_MEANINGS };
+    // One name per observation value (null for pixels)
+    const obsFeatures = obsMode === 'pixels' ? null : [
+        ...OBS_FEATURES,
+        ...(obsMode === 'grid'
+            ? Array.from({ length: brickRows * brickCols }, (_, i) => `brick_${Math.floor(i / brickCols)}_${i % brickCols}`)
+            : Array.from({ length: brickRows }, (_, r) => `row_${r}_bricks`)),
+        ...(powerups ? POWERUP_FEATURES : [])
+    ];
+    let frames = [];
 
     // Game state
     let bricks = [];
     let ballLaunched = false;
     let score = 0;
     let prevScore = 0;
-    let lives = 3;
-    let level = 1;
+    let lives = difficulty.lives;
+    let level = difficulty.startLevel;
     let combo = 0;
+    let stallSteps = 0;
 
+    // Power-up state
+    let extraBalls = [];
+    let capsules = [];
+    let wideTimer = 0;
+    let slowTimer = 0;
+
+    // One brick per grid cell, row-major, laid out from the current level;
+    // cells the layout leaves empty start dead
     function createBricks() {
+        const { cells } = levels[(level - 1) % levels.length];
+        const byCell = new Map(cells.filter(c => c.row < difficulty.brickRows).map(c => [c.row * brickCols + c.col, c]));
         bricks = [];
         for (let row = 0; row < brickRows; row++) {
             for (let col = 0; col < brickCols; col++) {
-                const hits = row < 2 ? 2 : 1;
+                const cell = byCell.get(row * brickCols + col);
+                const hits = cell ? cell.hits : 0;
                 bricks.push({
                     x: brickOffsetLeft + col * (brickWidth + brickPadding),
                     y: brickOffsetTop + row * (brickHeight + brickPadding),
                     width: brickWidth,
                     height: brickHeight,
+                    color: cell?.indestructible ? indestructibleColor : brickColors[row % brickColors.length],
                     hits: hits,
                     maxHits: hits,
-                    alive: true
+                    indestructible: cell ? cell.indestructible : false,
+                    multiplier: cell ? cell.multiplier : 1,
+                    alive: Boolean(cell)
                 });
             }
         }
@@ -65,184 +233,682 @@ export function createEnv(config = {}) {
     function resetBall() {
         ball.x = paddle.x + paddle.width / 2;
         ball.y = paddle.y - ball.radius - 2;
-        ball.dx = (Math.random() - 0.5) * 6;
+        ball.dx = (rng.next() - 0.5) * 6;
         ball.dy = -ball.speed;
         ballLaunched = false;
     }
 
-    function reset() {
+    // reset({ seed }) restarts the RNG from a new seed first, as in
+    // Gymnasium; without one the stream carries on from the last episode.
+    // Returns the first observation.
+    function reset({ seed: newSeed } = {}) {
+        if (newSeed !== undefined) {
+            seed = newSeed;
+            rng.setState(seed);
+        }
         score = 0;
         prevScore = 0;
-        lives = 3;
-        level = 1;
+        lives = difficulty.lives;
+        level = difficulty.startLevel;
         combo = 0;
-        ball.speed = 5;
-        paddle.x = 340;
+        stallSteps = 0;
+        ball.speed = difficulty.ballSpeed + 0.5 * (level - 1);
+        paddle.x = (width - difficulty.paddleWidth) / 2;
+        clearPowerups();
         createBricks();
         resetBall();
-        return getObs();
+        frames = [];
+        return observe();
+    }
+
+    // Drop every falling capsule, extra ball and running effect
+    function clearPowerups() {
+        extraBalls = [];
+        capsules = [];
+        wideTimer = 0;
+        slowTimer = 0;
+        setPaddleWidth(difficulty.paddleWidth);
+    }
+
+    // Resize around the paddle's center, kept inside the field
+    function setPaddleWidth(newWidth) {
+        const center = paddle.x + paddle.width / 2;
+        paddle.width = newWidth;
+        paddle.x = Math.max(0, Math.min(width - paddle.width, center - paddle.width / 2));
     }
 
     function launch() {
         if (!ballLaunched) {
             ballLaunched = true;
             ball.dy = -ball.speed;
-            ball.dx = (Math.random() - 0.5) * 6;
+            ball.dx = (rng.next() - 0.5) * 6;
         }
     }
 
     function getObs() {
-        // Count bricks alive per row
-        const rowCounts = new Array(brickRows).fill(0);
-        bricks.forEach((b, i) => {
-            if (b.alive) rowCounts[Math.floor(i / brickCols)]++;
-        });
+        if (obsMode === 'pixels') return stackFrames();
 
-        return new Float32Array([
+        const features = [
             ball.x / width,           // 0: ball x normalized
             ball.y / height,          // 1: ball y normalized
             ball.dx / 10,             // 2: ball dx (small range)
             ball.dy / 10,             // 3: ball dy (small range)
             paddle.x / width,         // 4: paddle x normalized
             ballLaunched ? 1 : 0,     // 5: ball launched flag
-            lives / 3,                // 6: lives normalized
-            Math.min(level, 10) / 10, // 7: level normalized (cap at 10)
-            ...rowCounts.map(c => c / brickCols) // 8-12: bricks per row normalized
+            Math.min(lives / difficulty.lives, 1),  // 6: lives, of the starting lives
+            Math.min(level, 10) / 10  // 7: level normalized (cap at 10)
+        ];
+
+        if (obsMode === 'grid') {
+            // 8-57: remaining hits per brick, row-major (0 = empty or
+            // destroyed, -1 = indestructible)
+            return new Float32Array([
+                ...features,
+                ...bricks.map(b => !b.alive ? 0 : b.indestructible ? -1 : b.hits / maxBrickHits),
+                ...powerupFeatures()
+            ]);
+        }
+
+        // Count breakable bricks alive per row
+        const rowCounts = new Array(brickRows).fill(0);
+        bricks.forEach((b, i) => {
+            if (b.alive && !b.indestructible) rowCounts[Math.floor(i / brickCols)]++;
+        });
+
+        return new Float32Array([
+            ...features,
+            ...rowCounts.map(c => c / brickCols), // 8-12: bricks per row normalized
+            ...powerupFeatures()
         ]);
     }
 
-    function applyAction(action) {
-        if (action === 0) paddle.x -= paddle.speed;
-        else if (action === 2) paddle.x += paddle.speed;
-        paddle.x = Math.max(0, Math.min(width - paddle.width, paddle.x));
+    // POWERUP_FEATURES: the lowest extra ball (zeros without one), ball
+    // count, paddle width, slow-motion time left and the lowest falling
+    // capsule with its type one-hot (zeros without one)
+    function powerupFeatures() {
+        if (!powerups) return [];
+        const lowest = items => items.reduce((a, b) => (a === null || b.y > a.y ? b : a), null);
+        const ball2 = lowest(extraBalls);
+        const capsule = lowest(capsules);
+        return [
+            ball2 ? ball2.x / width : 0,
+            ball2 ? ball2.y / height : 0,
+            ball2 ? ball2.dx / 10 : 0,
+            ball2 ? ball2.dy / 10 : 0,
+            (1 + extraBalls.length) / MAX_BALLS,
+            paddle.width / width,
+            slowTimer / SLOW_STEPS,
+            capsule ? capsule.x / width : 0,
+            capsule ? capsule.y / height : 0,
+            ...POWERUP_TYPES.map(type => capsule?.type === type ? 1 : 0)
+        ];
     }
 
-    function step(action) {
-        prevScore = score;
-        let lifeLost = false;
-        let levelCleared = false;
-
-        // Apply action
-        applyAction(action);
-
-        if (!ballLaunched) {
-            ball.x = paddle.x + paddle.width / 2;
-            ball.y = paddle.y - ball.radius - 2;
-            return { obs: getObs(), reward: 0, done: false, info: { lifeLost, levelCleared } };
-        }
+    // Grayscale frame at 1/pixelScale resolution: bricks up to 0.5 by
+    // remaining hits, indestructible bricks 0.6, paddle 0.75, capsules 0.9, balls 1. Anything touching a cell lights it up, so the
+    // ball never falls between samples.
+    function rasterize() {
+        const frame = new Float32Array(pixelWidth * pixelHeight);
+        const fillRect = (x, y, w, h, value) => {
+            const x0 = Math.max(0, Math.floor(x / pixelScale));
+            const x1 = Math.min(pixelWidth, Math.ceil((x + w) / pixelScale));
+            const y0 = Math.max(0, Math.floor(y / pixelScale));
+            const y1 = Math.min(pixelHeight, Math.ceil((y + h) / pixelScale));
+            for (let py = y0; py < y1; py++) {
+                for (let px = x0; px < x1; px++) {
+                    const i = py * pixelWidth + px;
+                    frame[i] = Math.max(frame[i], value);
+                }
+            }
+        };
 
-        // Ball movement
-        ball.x += ball.dx;
-        ball.y += ball.dy;
+        bricks.forEach(b => {
+            if (b.alive) fillRect(b.x, b.y, b.width, b.height, b.indestructible ? 0.6 : 0.5 * b.hits / maxBrickHits);
+        });
+        capsules.forEach(c => fillRect(c.x, c.y, c.width, c.height, 0.9));
+        fillRect(paddle.x, paddle.y, paddle.width, paddle.height, 0.75);
+        [ball, ...extraBalls].forEach(b => fillRect(b.x - b.radius, b.y - b.radius, b.radius * 2, b.radius * 2, 1));
+        return frame;
+    }
 
-        // Wall collision
-        if (ball.x <= ball.radius || ball.x >= width - ball.radius) {
-            ball.dx *= -1;
-            ball.x = Math.max(ball.radius, Math.min(width - ball.radius, ball.x));
-        }
-        if (ball.y <= ball.radius) {
-            ball.dy *= -1;
-            ball.y = ball.radius;
+    // Interleave the last frameStack frames channels-last: [height, width, frameStack]
+    function stackFrames() {
+        const size = pixelWidth * pixelHeight;
+        const obs = new Float32Array(size * frameStack);
+        for (let f = 0; f < frameStack; f++) {
+            const frame = frames[f];
+            for (let i = 0; i < size; i++) obs[i * frameStack + f] = frame[i];
         }
+        return obs;
+    }
 
-        // Bottom - lose life
-        if (ball.y >= height + ball.radius) {
-            lives--;
-            combo = 0;
-            lifeLost = true;
-            if (lives <= 0) {
-                return { 
-                    obs: getObs(), 
-                    reward: -100, 
-                    done: true, 
-                    info: { lifeLost, levelCleared } 
-                };
+    // Record a new frame (pixels mode) and return the observation. reset(),
+    // step() and restore() go through here so getObs() stays side-effect free.
+    function observe() {
+        if (obsMode === 'pixels') {
+            const frame = rasterize();
+            if (frames.length === 0) {
+                frames = new Array(frameStack).fill(frame);
             } else {
-                resetBall();
-                ballLaunched = true; // Auto-relaunch for training
-                ball.dy = -ball.speed;
-                ball.dx = (Math.random() - 0.5) * 6;
+                frames.shift();
+                frames.push(frame);
             }
         }
+        return getObs();
+    }
 
-        // Paddle collision
-        if (ball.y + ball.radius >= paddle.y &&
-            ball.y - ball.radius <= paddle.y + paddle.height &&
-            ball.x >= paddle.x &&
-            ball.x <= paddle.x + paddle.width) {
+    function applyAction(action) {
+        if (action === 0) paddle.x -= paddle.speed;
+        else if (action === 2) paddle.x += paddle.speed;
+        paddle.x = Math.max(0, Math.min(width - paddle.width, paddle.x));
+    }
+
+    // Returns true if the paddle returned the ball
+    function collidePaddle(b) {
+        if (b.y + b.radius >= paddle.y &&
+            b.y - b.radius <= paddle.y + paddle.height &&
+            b.x >= paddle.x &&
+            b.x <= paddle.x + paddle.width) {
             
-            const hitPoint = (ball.x - paddle.x) / paddle.width;
-            ball.dx = (hitPoint - 0.5) * 10;
-            ball.dy = -Math.abs(ball.dy);
-            ball.y = paddle.y - ball.radius;
+            const hitPoint = (b.x - paddle.x) / paddle.width;
+            b.dx = (hitPoint - 0.5) * 10;
+            b.dy = -Math.abs(b.dy);
+            b.y = paddle.y - b.radius;
             combo = 0;
+            return true;
         }
+        return false;
+    }
 
-        // Brick collision
+    function collideBricks(b, bricksHit, bricksDestroyed) {
         bricks.forEach(brick => {
             if (!brick.alive) return;
 
-            if (ball.x + ball.radius > brick.x &&
-                ball.x - ball.radius < brick.x + brick.width &&
-                ball.y + ball.radius > brick.y &&
-                ball.y - ball.radius < brick.y + brick.height) {
+            if (b.x + b.radius > brick.x &&
+                b.x - b.radius < brick.x + brick.width &&
+                b.y + b.radius > brick.y &&
+                b.y - b.radius < brick.y + brick.height) {
                 
-                brick.hits--;
-                if (brick.hits <= 0) {
-                    brick.alive = false;
-                    combo++;
-                    const points = 10 * combo * level;
-                    score += points;
-                }
+                hitBrick(brick, bricksHit, bricksDestroyed);
 
                 // Determine bounce direction
-                const overlapLeft = ball.x + ball.radius - brick.x;
-                const overlapRight = brick.x + brick.width - (ball.x - ball.radius);
-                const overlapTop = ball.y + ball.radius - brick.y;
-                const overlapBottom = brick.y + brick.height - (ball.y - ball.radius);
+                const overlapLeft = b.x + b.radius - brick.x;
+                const overlapRight = brick.x + brick.width - (b.x - b.radius);
+                const overlapTop = b.y + b.radius - brick.y;
+                const overlapBottom = brick.y + brick.height - (b.y - b.radius);
 
                 const minOverlapX = Math.min(overlapLeft, overlapRight);
                 const minOverlapY = Math.min(overlapTop, overlapBottom);
 
                 if (minOverlapX < minOverlapY) {
-                    ball.dx *= -1;
+                    b.dx *= -1;
                 } else {
-                    ball.dy *= -1;
+                    b.dy *= -1;
                 }
             }
         });
+    }
+
+    // Damage a brick, scoring it if it breaks
+    function hitBrick(brick, bricksHit, bricksDestroyed) {
+        if (!brick.indestructible) brick.hits--;
+        if (brick.hits <= 0) {
+            brick.alive = false;
+            combo++;
+            const points = 10 * combo * level * brick.multiplier;
+            score += points;
+            bricksDestroyed.push({ ...brick });
+            if (powerups) maybeDropCapsule(brick);
+        } else {
+            bricksHit.push({ ...brick });
+        }
+    }
+
+    // Swept physics. A contact is found as the fraction t of the move
+    // (dx, dy) at which the ball first touches something, with the surface
+    // normal there in contactX, contactY.
+    let contactX = 0;
+    let contactY = 0;
+
+    // First contact of a ball moving by (dx, dy) with a box: reaching one
+    // of its faces or coming within the radius of a corner. Infinity if none
+    // within the move, or if the ball is moving away.
+    function sweepBox(b, dx, dy, box) {
+        const r = b.radius;
+        const left = box.x;
+        const right = box.x + box.width;
+        const top = box.y;
+        const bottom = box.y + box.height;
+        if (Math.min(b.x, b.x + dx) - r > right || Math.max(b.x, b.x + dx) + r < left ||
+            Math.min(b.y, b.y + dy) - r > bottom || Math.max(b.y, b.y + dy) + r < top) {
+            return Infinity;
+        }
+
+        let best = Infinity;
+        if (dx !== 0) {
+            const t = ((dx > 0 ? left - r : right + r) - b.x) / dx;
+            const y = b.y + dy * t;
+            if (t >= 0 && t <= 1 && y >= top && y <= bottom) {
+                best = t;
+                contactX = dx > 0 ? -1 : 1;
+                contactY = 0;
+            }
+        }
+        if (dy !== 0) {
+            const t = ((dy > 0 ? top - r : bottom + r) - b.y) / dy;
+            const x = b.x + dx * t;
+            if (t >= 0 && t <= 1 && t < best && x >= left && x <= right) {
+                best = t;
+                contactX = 0;
+                contactY = dy > 0 ? -1 : 1;
+            }
+        }
+        if (best < Infinity) return best;
 
-        // Check level complete
-        if (bricks.every(b => !b.alive)) {
+        // A ball that reaches no face can still clip a corner
+        let normalX = 0;
+        let normalY = 0;
+        for (const cx of [left, right]) {
+            for (const cy of [top, bottom]) {
+                const t = sweepCorner(b, dx, dy, cx, cy);
+                if (t < best) {
+                    best = t;
+                    normalX = contactX;
+                    normalY = contactY;
+                }
+            }
+        }
+        contactX = normalX;
+        contactY = normalY;
+        return best;
+    }
+
+    // First time the ball comes within its radius of the point (cx, cy)
+    function sweepCorner(b, dx, dy, cx, cy) {
+        const ox = b.x - cx;
+        const oy = b.y - cy;
+        const a = dx * dx + dy * dy;
+        const half = ox * dx + oy * dy;
+        const c = ox * ox + oy * oy - b.radius * b.radius;
+        const disc = half * half - a * c;
+        if (a === 0 || half >= 0 || disc < 0) return Infinity;
+        const t = Math.max(0, (-half - Math.sqrt(disc)) / a);
+        if (t > 1) return Infinity;
+        const nx = ox + dx * t;
+        const ny = oy + dy * t;
+        const length = Math.hypot(nx, ny) || 1;
+        contactX = nx / length;
+        contactY = ny / length;
+        return t;
+    }
+
+    // First contact with a side or top wall, as for sweepBox. A ball
+    // already past a wall bounces straight away.
+    function sweepWalls(b, dx, dy) {
+        let best = Infinity;
+        if (dx < 0) {
+            best = Math.max(0, (b.radius - b.x) / dx);
+            contactX = 1;
+        } else if (dx > 0) {
+            best = Math.max(0, (width - b.radius - b.x) / dx);
+            contactX = -1;
+        }
+        contactY = 0;
+        if (best > 1) best = Infinity;
+        if (dy < 0) {
+            const t = Math.max(0, (b.radius - b.y) / dy);
+            if (t <= 1 && t < best) {
+                best = t;
+                contactX = 0;
+                contactY = 1;
+            }
+        }
+        return best;
+    }
+
+    // The paddle aims the ball by where it lands, keeping its speed
+    function bouncePaddle(b) {
+        const hitPoint = Math.max(0, Math.min(1, (b.x - paddle.x) / paddle.width));
+        const angle = (hitPoint - 0.5) * 2 * MAX_BOUNCE_ANGLE;
+        const speed = Math.hypot(b.dx, b.dy);
+        b.dx = speed * Math.sin(angle);
+        b.dy = -speed * Math.cos(angle);
+        combo = 0;
+    }
+
+    // Move a ball by scale of its velocity, bouncing off the first wall,
+    // brick or paddle in its way and carrying on with what's left of the move
+    function sweepBall(b, scale, events) {
+        // The paddle may have moved into a falling ball: bounce it as legacy does
+        if (b.dy > 0 && b.y + b.radius >= paddle.y && b.y - b.radius <= paddle.y + paddle.height &&
+            b.x >= paddle.x && b.x <= paddle.x + paddle.width) {
+            bouncePaddle(b);
+            b.y = paddle.y - b.radius;
+            events.paddleHits++;
+        }
+
+        let remaining = 1;
+        for (let contacts = 0; contacts < MAX_CONTACTS && remaining > 0; contacts++) {
+            const dx = b.dx * scale * remaining;
+            const dy = b.dy * scale * remaining;
+            let t = sweepWalls(b, dx, dy);
+            let normalX = contactX;
+            let normalY = contactY;
+            let target = null;
+            const paddleT = sweepBox(b, dx, dy, paddle);
+            if (paddleT < t) {
+                t = paddleT;
+                target = paddle;
+            }
+            for (const brick of bricks) {
+                if (!brick.alive) continue;
+                const brickT = sweepBox(b, dx, dy, brick);
+                if (brickT < t) {
+                    t = brickT;
+                    normalX = contactX;
+                    normalY = contactY;
+                    target = brick;
+                }
+            }
+            if (t === Infinity) {
+                b.x += dx;
+                b.y += dy;
+                return;
+            }
+
+            b.x += dx * t;
+            b.y += dy * t;
+            remaining *= 1 - t;
+            if (target === paddle) {
+                bouncePaddle(b);
+                events.paddleHits++;
+                continue;
+            }
+            const along = b.dx * normalX + b.dy * normalY;
+            b.dx -= 2 * along * normalX;
+            b.dy -= 2 * along * normalY;
+            if (target) hitBrick(target, events.bricksHit, events.bricksDestroyed);
+            else events.wallBounces++;
+        }
+    }
+
+    function maybeDropCapsule(brick) {
+        if (rng.next() >= POWERUP_DROP_CHANCE) return;
+        capsules.push({
+            type: POWERUP_TYPES[Math.floor(rng.next() * POWERUP_TYPES.length)],
+            x: brick.x + (brick.width - POWERUP_SIZE.width) / 2,
+            y: brick.y + brick.height,
+            ...POWERUP_SIZE
+        });
+    }
+
+    // Advance capsules and effect timers; returns the types caught this step
+    function updatePowerups() {
+        const collected = [];
+        capsules = capsules.filter(c => {
+            c.y += POWERUP_FALL_SPEED;
+            const caught = c.y + c.height >= paddle.y &&
+                c.y <= paddle.y + paddle.height &&
+                c.x + c.width >= paddle.x &&
+                c.x <= paddle.x + paddle.width;
+            if (caught) collected.push(c.type);
+            return !caught && c.y < height;
+        });
+
+        if (wideTimer > 0 && --wideTimer === 0) setPaddleWidth(difficulty.paddleWidth);
+        if (slowTimer > 0) slowTimer--;
+
+        for (const type of collected) {
+            if (type === 'wide') {
+                setPaddleWidth(difficulty.paddleWidth * WIDE_FACTOR);
+                wideTimer = WIDE_STEPS;
+            } else if (type === 'slow') {
+                slowTimer = SLOW_STEPS;
+            } else if (type === 'life') {
+                // Capped at MAX_LIVES, but never below what the game started with
+                lives = Math.max(lives, Math.min(lives + 1, MAX_LIVES));
+            } else if (type === 'multi') {
+                // Split off copies of the first ball, fanned out sideways
+                for (const dx of [-3, 3]) {
+                    if (1 + extraBalls.length >= MAX_BALLS) break;
+                    extraBalls.push({ ...ball, dx: ball.dx + dx, dy: -Math.abs(ball.dy) });
+                }
+            }
+        }
+        return collected;
+    }
+
+    // What reward functions see of the game before and after a step
+    function rewardState() {
+        return { score, lives, level, bricksLeft: bricks.filter(b => b.alive && !b.indestructible).length };
+    }
+
+    function step(action) {
+        prevScore = score;
+        const prev = rewardState();
+        // Everything that happened this step, for the reward function (rewards.js)
+        const events = {
+            bricksHit: [],
+            bricksDestroyed: [],
+            paddleHits: 0,
+            wallBounces: 0,
+            lifeLost: false,
+            levelCleared: false,
+            done: false,
+            powerupsCollected: []
+        };
+
+        // Apply action
+        const paddleFrom = paddle.x;
+        applyAction(action);
+
+        if (!ballLaunched) {
+            ball.x = paddle.x + paddle.width / 2;
+            ball.y = paddle.y - ball.radius - 2;
+            return finishStep(prev, events);
+        }
+
+        // Move every ball; one that drops out of the bottom is handled after
+        // the others have moved
+        const speedScale = slowTimer > 0 ? SLOW_FACTOR : 1;
+        const balls = [ball, ...extraBalls];
+        const fallen = [];
+        if (physics === 'swept') {
+            const paddleTo = paddle.x;
+            for (let i = 1; i <= substeps; i++) {
+                paddle.x = paddleFrom + (paddleTo - paddleFrom) * i / substeps;
+                for (const b of balls) sweepBall(b, speedScale / substeps, events);
+            }
+            fallen.push(...balls.filter(b => b.y >= height + b.radius));
+        } else {
+            // Legacy: move, then test for overlaps
+            for (const b of balls) {
+                b.x += b.dx * speedScale;
+                b.y += b.dy * speedScale;
+
+                // Wall collision
+                if (b.x <= b.radius || b.x >= width - b.radius) {
+                    b.dx *= -1;
+                    b.x = Math.max(b.radius, Math.min(width - b.radius, b.x));
+                    events.wallBounces++;
+                }
+                if (b.y <= b.radius) {
+                    b.dy *= -1;
+                    b.y = b.radius;
+                    events.wallBounces++;
+                }
+
+                if (b.y >= height + b.radius) {
+                    fallen.push(b);
+                    continue;
+                }
+
+                if (collidePaddle(b)) events.paddleHits++;
+                collideBricks(b, events.bricksHit, events.bricksDestroyed);
+            }
+        }
+
+        // Bottom - lose life, unless another ball is still in play
+        extraBalls = extraBalls.filter(b => !fallen.includes(b));
+        if (fallen.includes(ball)) {
+            if (extraBalls.length > 0) {
+                Object.assign(ball, extraBalls.shift());
+            } else {
+                lives--;
+                combo = 0;
+                events.lifeLost = true;
+                if (lives <= 0) {
+                    events.done = true;
+                    return finishStep(prev, events);
+                }
+                clearPowerups();
+                resetBall();
+                ballLaunched = true; // Auto-relaunch for training
+                ball.dy = -ball.speed;
+                ball.dx = (rng.next() - 0.5) * 6;
+            }
+        }
+
+        // Serve a stalled ball again (see stallLimit)
+        if (stallLimit > 0) {
+            const progress = events.paddleHits > 0 || events.lifeLost || events.bricksDestroyed.length > 0 ||
+                events.bricksHit.some(b => !b.indestructible);
+            stallSteps = progress ? 0 : stallSteps + 1;
+            if (stallSteps >= stallLimit) {
+                extraBalls = [];
+                resetBall();
+                ballLaunched = true;
+                ball.dy = -ball.speed;
+                ball.dx = (rng.next() - 0.5) * 6;
+                stallSteps = 0;
+            }
+        }
+
+        if (powerups) events.powerupsCollected = updatePowerups();
+
+        // Check level complete; indestructible bricks don't count
+        if (bricks.every(b => !b.alive || b.indestructible)) {
             level++;
             ball.speed += 0.5;
-            levelCleared = true;
+            events.levelCleared = true;
+            extraBalls = [];
+            capsules = [];
             createBricks();
             resetBall();
             ballLaunched = true; // Auto-relaunch for training
             ball.dy = -ball.speed;
-            ball.dx = (Math.random() - 0.5) * 6;
+            ball.dx = (rng.next() - 0.5) * 6;
         }
 
-        // Calculate reward
-        let reward = score - prevScore; // Points from breaking bricks
-        if (lifeLost) reward -= 100;
-        if (levelCleared) reward += 500;
+        return finishStep(prev, events);
+    }
+
+    // Observation, reward and info of a step. info keeps the game's own
+    // reward (rawReward) and score whatever the reward function is.
+    function finishStep(prev, events) {
+        const next = rewardState();
+        const rawReward = scoreReward(prev, next, events);
+        const reward = rewardFn === scoreReward ? rawReward : rewardFn(prev, next, events);
+        const { lifeLost, levelCleared, bricksHit, bricksDestroyed, done, powerupsCollected } = events;
+        // The game itself never truncates (see TimeLimit in wrappers.js);
+        // done stays as the old name for terminated
+        return {
+            obs: observe(),
+            reward,
+            terminated: done,
+            truncated: false,
+            done,
+            info: {
+                lifeLost, levelCleared, bricksHit, bricksDestroyed, score, lives, level, rawReward,
+                ...(powerups && { powerupsCollected })
+            }
+        };
+    }
 
-        return { 
-            obs: getObs(), 
-            reward, 
-            done: false, 
-            info: { lifeLost, levelCleared, score, lives, level } 
+    // Capture everything step() depends on, including the RNG, as plain JSON
+    function serialize() {
+        return {
+            ball: { ...ball },
+            paddle: { ...paddle },
+            bricks: bricks.map(b => ({ hits: b.hits, alive: b.alive })),
+            ballLaunched,
+            score,
+            prevScore,
+            lives,
+            level,
+            combo,
+            stallSteps,
+            rng: rng.getState(),
+            ...(powerups && {
+                extraBalls: extraBalls.map(b => ({ ...b })),
+                capsules: capsules.map(c => ({ ...c })),
+                wideTimer,
+                slowTimer
+            }),
+            // Frame history is only needed to rebuild a stacked pixel observation
+            frames: obsMode === 'pixels' ? frames.map(f => Array.from(f)) : undefined
         };
     }
 
+    function restore(snapshot) {
+        Object.assign(ball, snapshot.ball);
+        Object.assign(paddle, snapshot.paddle);
+        level = snapshot.level;
+        createBricks();
+        snapshot.bricks.forEach((b, i) => {
+            bricks[i].hits = b.hits;
+            bricks[i].alive = b.alive;
+        });
+        ballLaunched = snapshot.ballLaunched;
+        score = snapshot.score;
+        prevScore = snapshot.prevScore;
+        lives = snapshot.lives;
+        combo = snapshot.combo;
+        stallSteps = snapshot.stallSteps || 0;
+        rng.setState(snapshot.rng);
+        extraBalls = (snapshot.extraBalls || []).map(b => ({ ...b }));
+        capsules = (snapshot.capsules || []).map(c => ({ ...c }));
+        wideTimer = snapshot.wideTimer || 0;
+        slowTimer = snapshot.slowTimer || 0;
+        if (snapshot.frames) {
+            frames = snapshot.frames.map(f => Float32Array.from(f));
+            return getObs();
+        }
+        frames = [];
+        return observe();
+    }
+
     return {
         reset,
         step,
         getObs,
         launch,
+        serialize,
+        restore,
+        get seed() {
+            return seed;
+        },
+        powerups,
+        physics,
+        obsMode,
+        obsShape,
+        obsFeatures,
+        observationSpace,
+        actionSpace,
+        levelNames: levels.map(l => l.name),
         // Expose for debugging
-        getState: () => ({ ball: { ...ball }, paddle: { ...paddle }, lives, score, level, ballLaunched })
+        getState: () => ({
+            ball: { ...ball },
+            balls: [ball, ...extraBalls].map(b => ({ ...b })),
+            capsules: capsules.map(c => ({ ...c })),
+            effects: { wide: wideTimer, slow: slowTimer },
+            paddle: { ...paddle },
+            bricks: bricks.map(b => ({ ...b })),
+            lives,
+            score,
+            level,
+            levelName: levels[(level - 1) % levels.length].name,
+            ballLaunched
+        })
     };
 }
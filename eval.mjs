@@ -0,0 +1,88 @@
+/**
+ * Headless evaluation of a saved checkpoint.
+ *
+ * Usage: node eval.mjs [dir] [--best] [--episodes=20] [--seed=1000] [--max-steps=10000] [--json]
+ *                     [--record[=recordings]] [--record-obs] [--record-info] [--physics=legacy|swept]
+ *
+ * dir defaults to model/ (model.best/ with --best). Episodes are played
+ * greedily on seeds seed..seed+episodes-1, so two checkpoints evaluated with
+ * the same flags face exactly the same games. --record saves each episode as
+ * eval-<seed>.json (in recordings/ unless a directory is given) for
+ * watch.html's replay mode. Checkpoints are played with the physics they
+ * were trained with (legacy for ones from before the option) unless
+ * --physics picks the other.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCheckpointModel, evaluate, formatReport } from './evaluate.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const dir = args.find(a => !a.startsWith('--'))
+    || path.join(__dirname, args.includes('--best') ? 'model.best' : 'model');
+const options = {
+    episodes: parseInt(args.find(a => a.startsWith('--episodes='))?.split('=')[1] || '20'),
+    seed: parseInt(args.find(a => a.startsWith('--seed='))?.split('=')[1] || '1000'),
+    maxSteps: parseInt(args.find(a => a.startsWith('--max-steps='))?.split('=')[1] || '10000')
+};
+if (!(options.episodes >= 1)) {
+    console.error('--episodes must be a whole number of at least 1');
+    process.exit(1);
+}
+if (!Number.isInteger(options.seed)) {
+    console.error('--seed must be a whole number');
+    process.exit(1);
+}
+if (!(options.maxSteps >= 1)) {
+    console.error('--max-steps must be a whole number of at least 1');
+    process.exit(1);
+}
+const physics = args.find(a => a.startsWith('--physics='))?.split('=')[1];
+const asJson = args.includes('--json');
+const recordArg = args.find(a => a === '--record' || a.startsWith('--record='));
+const recordDir = recordArg && (recordArg.split('=')[1] || path.join(__dirname, 'recordings'));
+const record = recordArg
+    ? { obs: args.includes('--record-obs'), info: args.includes('--record-info') }
+    : null;
+
+async function main() {
+    await tf.setBackend('cpu');
+    await tf.ready();
+
+    const { model, state, envConfig: savedEnvConfig } = await loadCheckpointModel(dir);
+    // Legacy physics has no substeps
+    const envConfig = physics
+        ? { ...savedEnvConfig, physics, substeps: physics === 'swept' ? savedEnvConfig.substeps : 1 }
+        : savedEnvConfig;
+    const start = Date.now();
+    const { recordings, ...result } = evaluate(model, { ...options, envConfig, record });
+    const elapsed = (Date.now() - start) / 1000;
+
+    if (recordings) {
+        fs.mkdirSync(recordDir, { recursive: true });
+        recordings.forEach((recording, k) => {
+            recording.meta.checkpoint = dir;
+            fs.writeFileSync(path.join(recordDir, `eval-${options.seed + k}.json`), JSON.stringify(recording));
+        });
+    }
+
+    if (asJson) {
+        const checkpoint = { dir, episode: state.episode, totalSteps: state.totalSteps, env: envConfig, variant: state.variant };
+        console.log(JSON.stringify({ checkpoint, ...result }, null, 2));
+        return;
+    }
+
+    console.log(`Checkpoint: ${dir} (episode ${state.episode ?? '?'}, ${state.totalSteps ?? '?'} steps)`);
+    console.log(`Env: ${envConfig.obsMode}, frames ${envConfig.frameStack}, ${envConfig.physics || 'legacy'} physics`);
+    console.log(`Episodes: ${options.episodes} greedy, seeds ${options.seed}-${options.seed + options.episodes - 1}, ${elapsed.toFixed(1)}s\n`);
+    console.log(formatReport(result));
+    if (recordings) console.log(`\nRecordings saved to ${recordDir}`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,100 @@
+/**
+ * Greedy evaluation of a Q-network (or PPO policy) on fixed seeds.
+ * Used by eval.mjs and by train-cli.mjs when model.best is ranked by eval.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+import fs from 'fs';
+import path from 'path';
+import { createEnv } from './env.js';
+import { createRecorder } from './recording.js';
+
+export const METRICS = ['score', 'reward', 'level', 'bricks', 'livesLost', 'length'];
+
+// Load a checkpoint directory along with the env config it was trained on
+export async function loadCheckpointModel(dir) {
+    const statePath = path.join(dir, 'state.json');
+    const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf-8')) : {};
+    const model = await tf.loadLayersModel(`file://${path.resolve(dir, 'model.json')}`);
+    return { model, state, envConfig: { obsMode: 'vector', frameStack: 1, ...state.env } };
+}
+
+function summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    const std = Math.sqrt(sorted.reduce((a, v) => a + (v - mean) ** 2, 0) / n);
+    return { mean, median, std, min: sorted[0], max: sorted[n - 1] };
+}
+
+// Play episodes greedily, episode k on seed + k, stepping all of them in
+// lockstep so each step is one batched predict. Episodes still running after
+// maxSteps are cut off and counted as truncated. With record (recorder
+// options, see recording.js) the result also carries one recording per episode.
+export function evaluate(model, { envConfig = {}, episodes = 20, seed = 1000, maxSteps = 10000, record = null } = {}) {
+    if (!(episodes >= 1)) throw new Error(`evaluate needs at least one episode (got ${episodes})`);
+    const envs = Array.from({ length: episodes }, (_, k) => createEnv({ ...envConfig, seed: seed + k }));
+    const obsShape = envs[0].obsShape;
+    const obsSize = obsShape.reduce((a, b) => a * b, 1);
+    const results = envs.map(() => ({ reward: 0, bricks: 0, length: 0, livesLost: 0, truncated: false }));
+    const obs = envs.map(env => {
+        env.reset();
+        env.launch();
+        return env.getObs();
+    });
+    const recorders = record ? envs.map(env => createRecorder(env, envConfig, record)) : null;
+
+    let active = envs.map((_, k) => k);
+    while (active.length > 0) {
+        const batch = new Float32Array(active.length * obsSize);
+        active.forEach((k, row) => batch.set(obs[k], row * obsSize));
+        const actions = tf.tidy(() =>
+            model.predict(tf.tensor(batch, [active.length, ...obsShape])).argMax(1).dataSync());
+
+        active = active.filter((k, row) => {
+            const stepResult = envs[k].step(actions[row]);
+            const { obs: nextObs, reward, done, info } = stepResult;
+            const result = results[k];
+            if (recorders) recorders[k].record(actions[row], stepResult, obs[k]);
+            result.reward += reward;
+            result.bricks += info.bricksDestroyed.length;
+            if (info.lifeLost) result.livesLost++;
+            result.length++;
+            obs[k] = nextObs;
+            if (!done && result.length < maxSteps) return true;
+
+            const { score, level } = envs[k].getState();
+            Object.assign(result, { score, level, truncated: !done });
+            return false;
+        });
+    }
+
+    const summary = {};
+    for (const metric of METRICS) summary[metric] = summarize(results.map(r => r[metric]));
+    return {
+        episodes,
+        seed,
+        maxSteps,
+        truncated: results.filter(r => r.truncated).length,
+        summary,
+        perEpisode: results.map((r, k) => ({ seed: seed + k, ...r })),
+        ...(recorders && {
+            recordings: recorders.map((recorder, k) => recorder.finish({ source: 'eval', truncated: results[k].truncated }))
+        })
+    };
+}
+
+// Fixed-width text table of an evaluate() result
+export function formatReport(result) {
+    const pad = (s, n) => String(s).padStart(n);
+    const lines = [`${pad('', 10)}${['mean', 'median', 'std', 'min', 'max'].map(h => pad(h, 10)).join('')}`];
+    for (const metric of METRICS) {
+        const s = result.summary[metric];
+        lines.push(metric.padEnd(10) + [s.mean, s.median, s.std, s.min, s.max].map(v => pad(v.toFixed(1), 10)).join(''));
+    }
+    if (result.truncated > 0) {
+        lines.push(`${result.truncated} of ${result.episodes} episodes hit the ${result.maxSteps}-step limit`);
+    }
+    return lines.join('\n');
+}
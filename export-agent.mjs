@@ -0,0 +1,157 @@
+/**
+ * Converts a saved checkpoint into a standalone JavaScript agent: a single
+ * ES module with the weights inlined (base64 float32) and plain typed-array
+ * math, so a page can run the policy offline and without TensorFlow.js.
+ * Used by export.mjs; reads model.json and the weight files directly, so
+ * exporting doesn't need TensorFlow.js either.
+ *
+ * The generated module exports:
+ *   META            { env, obsShape, actions, algo, episode, totalSteps, ... }
+ *   predict(obs)    the network's outputs (Q-values, or policy logits for PPO)
+ *   act(obs)        the greedy action
+ *
+ * Only dense networks convert (vector and grid observations, plain or
+ * dueling heads); pixel models have conv layers and are refused.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ACTION_MEANINGS } from './env.js';
+
+const ACTIVATIONS = ['relu', 'linear'];
+
+// The weights of every float32 tensor in the manifest, by name, as one
+// Float32Array (shards concatenated) plus each tensor's offset into it
+function readWeights(dir, manifest) {
+    const buffers = manifest.flatMap(group => group.paths.map(p => fs.readFileSync(path.join(dir, p))));
+    const bytes = Buffer.concat(buffers);
+    const data = new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    const specs = {};
+    let offset = 0;
+    for (const spec of manifest.flatMap(group => group.weights)) {
+        if (spec.dtype !== 'float32') throw new Error(`Weight ${spec.name} is ${spec.dtype}, only float32 is supported`);
+        const size = spec.shape.reduce((a, b) => a * b, 1);
+        specs[spec.name] = { offset, shape: spec.shape };
+        offset += size;
+    }
+    if (offset !== data.length) throw new Error(`Weight files hold ${data.length} values, the manifest describes ${offset}`);
+    return { data, specs };
+}
+
+// The layers as ops over value slots: slot 0 is the observation, op i
+// writes slot i + 1. Sequential models chain; functional ones (the dueling
+// head) follow each layer's inbound node.
+function compileLayers(topology, specs) {
+    const { class_name: className, config } = topology.model_config || topology;
+    if (className !== 'Sequential' && className !== 'Model') throw new Error(`Unsupported model class ${className}`);
+
+    const ops = [];
+    const slots = new Map();
+    let previous = 0;
+    for (const layer of config.layers) {
+        const name = layer.config.name || layer.name;
+        const inputs = className === 'Model'
+            ? (layer.inbound_nodes[0] || []).map(([inbound]) => slots.get(inbound))
+            : [previous];
+        if (inputs.some(slot => slot === undefined)) throw new Error(`Layer ${name} comes before its inputs`);
+
+        let slot;
+        if (layer.class_name === 'InputLayer') {
+            slot = 0;
+        } else if (layer.class_name === 'Flatten') {
+            // Dense observations are already flat
+            slot = inputs[0];
+        } else if (layer.class_name === 'Dense') {
+            const { units, activation, use_bias: useBias } = layer.config;
+            if (!ACTIVATIONS.includes(activation)) throw new Error(`Layer ${name} uses unsupported activation ${activation}`);
+            const kernel = specs[`${name}/kernel`];
+            const bias = useBias ? specs[`${name}/bias`] : null;
+            if (!kernel || (useBias && !bias)) throw new Error(`Weights for layer ${name} are missing`);
+            ops.push({ type: 'dense', input: inputs[0], kernel: kernel.offset, rows: kernel.shape[0], units, bias: bias ? bias.offset : -1, relu: activation === 'relu' });
+            slot = ops.length;
+        } else if (layer.class_name === 'Add') {
+            ops.push({ type: 'add', inputs });
+            slot = ops.length;
+        } else {
+            throw new Error(`Layer ${name} (${layer.class_name}) can't be exported; only dense networks are supported`);
+        }
+        slots.set(name, slot);
+        previous = slot;
+    }
+
+    const output = className === 'Model' ? slots.get(config.output_layers[0][0]) : previous;
+    return { ops, output };
+}
+
+// Runtime shared by every exported agent, inlined as source
+const RUNTIME = `
+const bytes = Uint8Array.from(atob(WEIGHTS), c => c.charCodeAt(0));
+const weights = new Float32Array(bytes.buffer);
+
+function dense(x, { kernel, rows, units, bias, relu }) {
+    const out = new Float32Array(units);
+    for (let j = 0; j < units; j++) {
+        let sum = bias >= 0 ? weights[bias + j] : 0;
+        for (let i = 0; i < rows; i++) sum += x[i] * weights[kernel + i * units + j];
+        out[j] = relu && sum < 0 ? 0 : sum;
+    }
+    return out;
+}
+
+function add(values) {
+    const out = new Float32Array(values[0].length);
+    for (const v of values) {
+        for (let i = 0; i < out.length; i++) out[i] += v[i];
+    }
+    return out;
+}
+
+// The network's outputs for one observation (as returned by env.getObs())
+export function predict(obs) {
+    if (obs.length !== META.obsShape[0]) throw new Error(\`Expected an observation of \${META.obsShape[0]} values, got \${obs.length}\`);
+    const slots = [obs];
+    for (const op of OPS) slots.push(op.type === 'dense' ? dense(slots[op.input], op) : add(op.inputs.map(i => slots[i])));
+    return slots[OUTPUT];
+}
+
+// Greedy action: 0 left, 1 stay, 2 right
+export function act(obs) {
+    const outputs = predict(obs);
+    let best = 0;
+    for (let i = 1; i < outputs.length; i++) if (outputs[i] > outputs[best]) best = i;
+    return best;
+}
+`;
+
+// Source of the standalone agent module for the checkpoint in dir
+export function exportAgent(dir) {
+    const modelJson = JSON.parse(fs.readFileSync(path.join(dir, 'model.json'), 'utf-8'));
+    const statePath = path.join(dir, 'state.json');
+    const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf-8')) : {};
+
+    const { data, specs } = readWeights(dir, modelJson.weightsManifest);
+    const { ops, output } = compileLayers(modelJson.modelTopology, specs);
+    const inputShape = (modelJson.modelTopology.model_config || modelJson.modelTopology).config.layers[0].config.batch_input_shape;
+    if (!inputShape || inputShape.length !== 2) throw new Error('Only models with flat (vector or grid) observations can be exported');
+
+    const meta = {
+        env: { obsMode: 'vector', frameStack: 1, ...state.env },
+        obsShape: inputShape.slice(1),
+        actions: ACTION_MEANINGS,
+        algo: state.variant?.algo || 'dqn',
+        episode: state.episode ?? null,
+        totalSteps: state.totalSteps ?? null,
+        exportedAt: new Date().toISOString()
+    };
+    const base64 = Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('base64');
+
+    return [
+        `// Standalone Breakout agent exported by export.mjs from ${path.basename(path.resolve(dir))}/. Generated file, do not edit.`,
+        `// Needs no TensorFlow.js: import { act } from './agent.js' and call act(env.getObs()).`,
+        `export const META = ${JSON.stringify(meta)};`,
+        `const OPS = ${JSON.stringify(ops)};`,
+        `const OUTPUT = ${output};`,
+        `const WEIGHTS = '${base64}';`,
+        RUNTIME
+    ].join('\n');
+}
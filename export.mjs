@@ -0,0 +1,31 @@
+/**
+ * Export a saved checkpoint as a standalone JavaScript agent (see export-agent.mjs).
+ *
+ * Usage: node export.mjs [dir] [--best] [--out=file]
+ *
+ * dir defaults to model/ (model.best/ with --best). The agent is written to
+ * agent.js inside the checkpoint directory unless --out names another file;
+ * watch.html falls back to it when TensorFlow.js can't be loaded. Training
+ * re-exports it whenever it saves over a directory that has one, so it
+ * stays in step with the checkpoint's weights.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exportAgent } from './export-agent.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const dir = args.find(a => !a.startsWith('--'))
+    || path.join(__dirname, args.includes('--best') ? 'model.best' : 'model');
+const out = args.find(a => a.startsWith('--out='))?.split('=')[1] || path.join(dir, 'agent.js');
+
+try {
+    const source = exportAgent(dir);
+    fs.writeFileSync(out, source);
+    console.log(`Exported ${dir} to ${out} (${(source.length / 1024).toFixed(0)} KB)`);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
@@ -0,0 +1,150 @@
+/**
+ * Level layouts for env.js, as plain data.
+ *
+ * A level is { name, layout, multipliers? }. layout has one string per brick
+ * row (top first, at most GRID_ROWS) with one character per column (exactly
+ * GRID_COLS):
+ *   .    empty cell
+ *   1-9  brick taking that many hits
+ *   #    indestructible brick (bounces the ball, never breaks, not needed to clear the level)
+ * multipliers is optional and has the same shape: a digit scales the points
+ * of the brick in that cell, '.' leaves them at x1.
+ *
+ * Every level lives on the same fixed grid so observations keep their shape
+ * from one level to the next. A level set is an array of levels played in
+ * order and repeated, the ball getting faster each time a level is cleared.
+ */
+
+export const GRID_ROWS = 5;
+export const GRID_COLS = 10;
+
+export const CLASSIC = {
+    name: 'classic',
+    layout: [
+        '2222222222',
+        '2222222222',
+        '1111111111',
+        '1111111111',
+        '1111111111'
+    ]
+};
+
+const PYRAMID = {
+    name: 'pyramid',
+    layout: [
+        '....33....',
+        '...2222...',
+        '..222222..',
+        '.11111111.',
+        '1111111111'
+    ],
+    multipliers: [
+        '....55....',
+        '..........',
+        '..........',
+        '..........',
+        '..........'
+    ]
+};
+
+const CHECKER = {
+    name: 'checker',
+    layout: [
+        '2.2.2.2.2.',
+        '.1.1.1.1.1',
+        '1.1.1.1.1.',
+        '.2.2.2.2.2',
+        '1.1.1.1.1.'
+    ]
+};
+
+const FORTRESS = {
+    name: 'fortress',
+    layout: [
+        '1112222111',
+        '1#222222#1',
+        '1#233332#1',
+        '1#......#1',
+        '##..##..##'
+    ],
+    multipliers: [
+        '..........',
+        '..........',
+        '...3333...',
+        '..........',
+        '..........'
+    ]
+};
+
+const GAUNTLET = {
+    name: 'gauntlet',
+    layout: [
+        '3333333333',
+        '..........',
+        '#.#.##.#.#',
+        '..........',
+        '1111111111'
+    ],
+    multipliers: [
+        '2222222222',
+        '..........',
+        '..........',
+        '..........',
+        '..........'
+    ]
+};
+
+// Built-in level sets, selected with createEnv({ levels: '<name>' })
+export const LEVEL_SETS = {
+    classic: [CLASSIC],
+    arcade: [CLASSIC, PYRAMID, CHECKER, FORTRESS, GAUNTLET]
+};
+
+// Check a level and expand it into its non-empty cells:
+// { name, cells: [{ row, col, hits, indestructible, multiplier }] }
+function compileLevel(level, index) {
+    const name = level.name || `level ${index + 1}`;
+    const fail = message => { throw new Error(`Level "${name}": ${message}`); };
+    const rows = level.layout;
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > GRID_ROWS) {
+        fail(`layout must have 1-${GRID_ROWS} rows`);
+    }
+    const multipliers = level.multipliers || [];
+    if (multipliers.length > rows.length) fail('multipliers has more rows than layout');
+
+    const cells = [];
+    rows.forEach((line, row) => {
+        if (line.length !== GRID_COLS) fail(`row ${row} has ${line.length} columns, expected ${GRID_COLS}`);
+        const multiplierLine = multipliers[row] || '.'.repeat(GRID_COLS);
+        if (multiplierLine.length !== GRID_COLS) fail(`multipliers row ${row} has ${multiplierLine.length} columns, expected ${GRID_COLS}`);
+
+        for (let col = 0; col < GRID_COLS; col++) {
+            const c = line[col];
+            const m = multiplierLine[col];
+            if (!/^[.1-9#]$/.test(c)) fail(`unknown brick "${c}" at row ${row}, column ${col}`);
+            if (!/^[.1-9]$/.test(m)) fail(`unknown multiplier "${m}" at row ${row}, column ${col}`);
+            if (c === '.') continue;
+            cells.push({
+                row,
+                col,
+                hits: c === '#' ? 1 : Number(c),
+                indestructible: c === '#',
+                multiplier: m === '.' ? 1 : Number(m)
+            });
+        }
+    });
+    if (!cells.some(cell => !cell.indestructible)) fail('has no breakable bricks, so it could never be cleared');
+    return { name, cells };
+}
+
+// A level set name or an array of levels, compiled and validated
+export function resolveLevels(levels = 'classic') {
+    if (typeof levels === 'string') {
+        if (!LEVEL_SETS[levels]) {
+            throw new Error(`Unknown level set "${levels}" (expected one of: ${Object.keys(LEVEL_SETS).join(', ')})`);
+        }
+        levels = LEVEL_SETS[levels];
+    }
+    if (!Array.isArray(levels) || levels.length === 0) throw new Error('A level set needs at least one level');
+    return levels.map(compileLevel);
+}
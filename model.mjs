@@ -0,0 +1,107 @@
+/**
+ * Network definitions and action selection, shared by the learner in
+ * train-cli.mjs, the actor workers in actor.mjs and the PPO trainer in ppo.mjs.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+
+export const NUM_ACTIONS = 3;
+
+// Network shape follows the observation: a small conv stack for pixels,
+// a wider MLP for the brick grid, the original 128-128-64 MLP for vectors.
+// With dueling, the trunk feeds separate value and advantage heads.
+// outputs defaults to one Q-value (or policy logit) per action.
+// hiddenUnits overrides the dense widths (after the convs for pixels).
+export function createModel(obsShape, learningRate, { dueling = false, outputs = NUM_ACTIONS, hiddenUnits = null } = {}) {
+    let hidden;
+    if (obsShape.length === 3) {
+        hidden = [
+            tf.layers.conv2d({ inputShape: obsShape, filters: 16, kernelSize: 8, strides: 4, activation: 'relu' }),
+            tf.layers.conv2d({ filters: 32, kernelSize: 4, strides: 2, activation: 'relu' }),
+            tf.layers.flatten(),
+            ...(hiddenUnits || [256]).map(units => tf.layers.dense({ units, activation: 'relu' }))
+        ];
+    } else {
+        const widths = hiddenUnits || (obsShape[0] > 32 ? [256, 256, 128] : [128, 128, 64]);
+        hidden = widths.map((units, i) => tf.layers.dense({
+            ...(i === 0 && { inputShape: obsShape }),
+            units,
+            activation: 'relu'
+        }));
+    }
+
+    const model = dueling
+        ? createDuelingModel(obsShape, hidden)
+        : tf.sequential({
+            layers: [...hidden, tf.layers.dense({ units: outputs, activation: 'linear' })]
+        });
+    model.compile({ optimizer: tf.train.adam(learningRate), loss: 'meanSquaredError' });
+    return model;
+}
+
+// Q = V + (A - mean(A)). The broadcast and centering steps are frozen dense
+// layers rather than a custom layer, so the saved model still loads with
+// plain tf.loadLayersModel in the browser.
+function createDuelingModel(obsShape, hidden) {
+    const input = tf.input({ shape: obsShape });
+    const trunk = hidden.reduce((x, layer) => layer.apply(x), input);
+
+    const value = tf.layers.dense({ units: 1, name: 'value' }).apply(trunk);
+    const advantage = tf.layers.dense({ units: NUM_ACTIONS, name: 'advantage' }).apply(trunk);
+
+    const broadcast = tf.layers.dense({ units: NUM_ACTIONS, useBias: false, trainable: false, name: 'value_broadcast' });
+    const center = tf.layers.dense({ units: NUM_ACTIONS, useBias: false, trainable: false, name: 'advantage_center' });
+    const q = tf.layers.add({ name: 'q_values' }).apply([broadcast.apply(value), center.apply(advantage)]);
+
+    const model = tf.model({ inputs: input, outputs: q });
+    tf.tidy(() => {
+        broadcast.setWeights([tf.ones([1, NUM_ACTIONS])]);
+        center.setWeights([tf.eye(NUM_ACTIONS).sub(1 / NUM_ACTIONS)]);
+    });
+    return model;
+}
+
+// Epsilon-greedy for a stacked batch of observations: one predict call
+// covers every row that is not exploring this step. random defaults to Math.random.
+export function selectActions(model, obsBatch, obsShape, epsilon, random = Math.random) {
+    const count = obsBatch.length / obsShape.reduce((a, b) => a * b, 1);
+    const actions = new Array(count);
+    let anyGreedy = false;
+    for (let i = 0; i < count; i++) {
+        if (random() < epsilon) {
+            actions[i] = Math.floor(random() * NUM_ACTIONS);
+        } else {
+            actions[i] = -1;
+            anyGreedy = true;
+        }
+    }
+    if (!anyGreedy) return actions;
+
+    const greedy = tf.tidy(() => {
+        const qValues = model.predict(tf.tensor(obsBatch, [count, ...obsShape]));
+        return qValues.argMax(1).dataSync();
+    });
+    return actions.map((a, i) => a < 0 ? greedy[i] : a);
+}
+
+// Rescale gradients so their global L2 norm is at most maxNorm
+export function clipByGlobalNorm(grads, maxNorm) {
+    return tf.tidy(() => {
+        const norm = tf.addN(Object.values(grads).map(g => g.square().sum())).sqrt();
+        const scale = tf.minimum(1, tf.div(maxNorm, norm.add(1e-6)));
+        const clipped = {};
+        for (const [name, g] of Object.entries(grads)) clipped[name] = tf.keep(g.mul(scale));
+        return clipped;
+    });
+}
+
+// Plain-array copy of the weights that can be posted to a worker
+export function exportWeights(model) {
+    return model.getWeights().map(w => ({ shape: w.shape, data: w.dataSync().slice() }));
+}
+
+export function importWeights(model, weights) {
+    const tensors = weights.map(w => tf.tensor(w.data, w.shape));
+    model.setWeights(tensors);
+    tensors.forEach(t => t.dispose());
+}
@@ -1,16 +1,29 @@
 /**
- * Simple HTTP server to serve the model viewer.
- * Serves static files and the trained model.
+ * Simple HTTP server to serve the model viewer, the checkpoint arena and the
+ * training dashboard.
+ * Serves static files, the trained model and the /api/ endpoints in api.mjs.
+ *
+ * Usage: node play.mjs [--best] [--run=<name>]
  */
 
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { handleApi, listModels } from './api.mjs';
+import { checkRunName } from './config.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PORT = 3000;
 const USE_BEST = process.argv.includes('--best');
+// Default run for the dashboard and /api/ (?run= overrides it per request)
+const RUN = process.argv.find(a => a.startsWith('--run='))?.split('=')[1] || null;
+try {
+    if (RUN) checkRunName(RUN);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 
 const MIME_TYPES = {
     '.html': 'text/html',
@@ -39,12 +52,18 @@ function serveFile(filePath, res) {
 }
 
 const server = http.createServer((req, res) => {
+    if (handleApi(req, res, __dirname, RUN)) return;
+
     // Parse URL
     let urlPath = req.url.split('?')[0];
 
     // Default to watch.html
     if (urlPath === '/') {
         urlPath = '/watch.html';
+    } else if (urlPath === '/dashboard') {
+        urlPath = '/dashboard.html';
+    } else if (urlPath === '/arena') {
+        urlPath = '/arena.html';
     }
 
     // Security: prevent directory traversal
@@ -62,25 +81,28 @@ const server = http.createServer((req, res) => {
     serveFile(filePath, res);
 });
 
-// Check if model exists
-const modelDir = USE_BEST ? 'model.best' : 'model';
-const modelPath = path.join(__dirname, modelDir, 'model.json');
-if (!fs.existsSync(modelPath)) {
-    console.log(`\x1b[33mWarning: No trained model found at ./${modelDir}/\x1b[0m`);
+// Checkpoint the browser opens on; any other one in the catalog can be
+// picked in the viewer
+const models = listModels(__dirname);
+const modelDir = [RUN && `runs/${RUN}`, USE_BEST ? 'model.best' : 'model'].filter(Boolean).join('/');
+if (models.length === 0) {
+    console.log('\x1b[33mWarning: No trained models found\x1b[0m');
     console.log('Run "npm run train" first to train a model.\n');
+} else if (!models.some(m => m.path === modelDir)) {
+    console.log(`\x1b[33mWarning: No trained model found at ./${modelDir}/\x1b[0m\n`);
 }
 
 server.listen(PORT, () => {
     console.log(`\n  Breakout RL Viewer`);
     console.log(`  ------------------`);
-    console.log(`  Model: \x1b[33m${USE_BEST ? 'Best (model.best)' : 'Latest (model)'}\x1b[0m`);
+    console.log(`  Model: \x1b[33m${modelDir}\x1b[0m (${models.length} checkpoint${models.length === 1 ? '' : 's'} found)`);
     console.log(`  Server: \x1b[36mhttp://localhost:${PORT}\x1b[0m`);
+    console.log(`  Arena: \x1b[36mhttp://localhost:${PORT}/arena\x1b[0m`);
+    console.log(`  Dashboard: \x1b[36mhttp://localhost:${PORT}/dashboard${RUN ? `?run=${RUN}` : ''}\x1b[0m`);
     console.log(`\n  Press Ctrl+C to stop.\n`);
 
     // Try to open browser with model query param
-    const url = USE_BEST
-        ? `http://localhost:${PORT}?model=model.best`
-        : `http://localhost:${PORT}`;
+    const url = `http://localhost:${PORT}?model=${modelDir}`;
     const start = process.platform === 'darwin' ? 'open' :
                   process.platform === 'win32' ? 'start' : 'xdg-open';
 
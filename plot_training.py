@@ -1,21 +1,23 @@
 #!/usr/bin/env python3
 """
 Simple script to visualize training metrics from train-log.csv
-Usage: python3 plot_training.py
+Usage: python3 plot_training.py [runs/<name>/train-log.csv]
 """
 
 import pandas as pd
 import matplotlib.pyplot as plt
 import sys
 
+log_file = sys.argv[1] if len(sys.argv) > 1 else 'train-log.csv'
+
 try:
-    df = pd.read_csv('train-log.csv')
+    df = pd.read_csv(log_file)
 except FileNotFoundError:
-    print("Error: train-log.csv not found. Run training first.")
+    print(f"Error: {log_file} not found. Run training first.")
     sys.exit(1)
 
 if df.empty:
-    print("Error: train-log.csv is empty.")
+    print(f"Error: {log_file} is empty.")
     sys.exit(1)
 
 # Create a 2x2 subplot figure
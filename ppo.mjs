@@ -0,0 +1,186 @@
+/**
+ * PPO (clipped surrogate, GAE) for train-cli.mjs --algo=ppo.
+ * The policy network outputs one logit per action, so a saved policy can be
+ * run by anything that takes the argmax of a Q-network (play.mjs, watch.html).
+ * The value network is a separate MLP saved alongside it.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+import { createModel, clipByGlobalNorm, NUM_ACTIONS } from './model.mjs';
+
+export class PPOTrainer {
+    constructor(obsShape, {
+        learningRate = 3e-4,
+        gamma = 0.99,
+        lambda = 0.95,
+        clipRatio = 0.2,
+        entropyCoef = 0.01,
+        valueCoef = 0.5,
+        epochs = 4,
+        minibatchSize = 256,
+        rolloutSteps = 128,
+        maxGradNorm = 0.5,
+        hiddenUnits = null,
+        random = Math.random  // draws actions and minibatch order
+    } = {}) {
+        this.obsShape = obsShape;
+        this.obsSize = obsShape.reduce((a, b) => a * b, 1);
+        Object.assign(this, { gamma, lambda, clipRatio, entropyCoef, valueCoef, epochs, minibatchSize, rolloutSteps, maxGradNorm, random });
+
+        this.policy = createModel(obsShape, learningRate, { hiddenUnits });
+        this.critic = createModel(obsShape, learningRate, { outputs: 1, hiddenUnits });
+        this.optimizer = tf.train.adam(learningRate);
+    }
+
+    // Action probabilities and state values for a stacked batch
+    evaluate(obsBatch, count) {
+        return tf.tidy(() => {
+            const obs = tf.tensor(obsBatch, [count, ...this.obsShape]);
+            const probs = tf.softmax(this.policy.predict(obs)).dataSync();
+            const values = this.critic.predict(obs).dataSync();
+            return { probs, values };
+        });
+    }
+
+    values(obsBatch, count) {
+        return tf.tidy(() => this.critic.predict(tf.tensor(obsBatch, [count, ...this.obsShape])).dataSync());
+    }
+
+    // Run rolloutSteps vector steps, sampling from the policy. Returns the
+    // rollout, the observation to continue from, and the finished episodes
+    // ({ reward, length, recording? } from the VecEnv).
+    collect(vecEnv, obs) {
+        const T = this.rolloutSteps;
+        const N = vecEnv.numEnvs;
+        const size = this.obsSize;
+        const rollout = {
+            obs: new Float32Array(T * N * size),
+            actions: new Int32Array(T * N),
+            logProbs: new Float32Array(T * N),
+            values: new Float32Array(T * N),
+            rewards: new Float32Array(T * N),
+            // Episode ended after this step; bootstrap is V(final obs) if it was
+            // only truncated, 0 after game over
+            episodeEnds: new Uint8Array(T * N),
+            bootstraps: new Float32Array(T * N),
+            lastValues: null
+        };
+        const finished = [];
+
+        for (let t = 0; t < T; t++) {
+            const { probs, values } = this.evaluate(obs, N);
+            const actions = new Array(N);
+            for (let i = 0; i < N; i++) {
+                const row = t * N + i;
+                let u = this.random();
+                let a = 0;
+                while (a < NUM_ACTIONS - 1 && u >= probs[i * NUM_ACTIONS + a]) {
+                    u -= probs[i * NUM_ACTIONS + a];
+                    a++;
+                }
+                actions[i] = a;
+                rollout.actions[row] = a;
+                rollout.logProbs[row] = Math.log(probs[i * NUM_ACTIONS + a] + 1e-8);
+                rollout.values[row] = values[i];
+            }
+            rollout.obs.set(obs, t * N * size);
+
+            const { obs: nextObs, rewards, dones, infos } = vecEnv.step(actions);
+            for (let i = 0; i < N; i++) {
+                const row = t * N + i;
+                rollout.rewards[row] = rewards[i];
+                if (infos[i].episode) {
+                    rollout.episodeEnds[row] = 1;
+                    rollout.bootstraps[row] = dones[i] ? 0 : this.values(infos[i].terminalObs, 1)[0];
+                    finished.push(infos[i].episode);
+                }
+            }
+            obs = nextObs;
+        }
+
+        rollout.lastValues = this.values(obs, N);
+        this.computeAdvantages(rollout, T, N);
+        return { rollout, nextObs: obs, finished };
+    }
+
+    // Generalized advantage estimation, walking each env's stream backwards
+    computeAdvantages(rollout, T, N) {
+        const advantages = new Float32Array(T * N);
+        const returns = new Float32Array(T * N);
+        for (let i = 0; i < N; i++) {
+            let gae = 0;
+            for (let t = T - 1; t >= 0; t--) {
+                const row = t * N + i;
+                const ended = rollout.episodeEnds[row] === 1;
+                const nextValue = ended ? rollout.bootstraps[row]
+                    : t === T - 1 ? rollout.lastValues[i]
+                    : rollout.values[row + N];
+                const delta = rollout.rewards[row] + this.gamma * nextValue - rollout.values[row];
+                gae = delta + this.gamma * this.lambda * (ended ? 0 : gae);
+                advantages[row] = gae;
+                returns[row] = gae + rollout.values[row];
+            }
+        }
+        rollout.advantages = advantages;
+        rollout.returns = returns;
+    }
+
+    // Several epochs of shuffled minibatch updates; returns the mean loss
+    async update(rollout) {
+        const total = rollout.actions.length;
+        const size = this.obsSize;
+        const batchSize = Math.min(this.minibatchSize, total);
+        const variables = [...this.policy.trainableWeights, ...this.critic.trainableWeights].map(w => w.read());
+        const indices = Array.from({ length: total }, (_, i) => i);
+        let lossSum = 0;
+        let updates = 0;
+
+        for (let epoch = 0; epoch < this.epochs; epoch++) {
+            for (let i = total - 1; i > 0; i--) {
+                const j = Math.floor(this.random() * (i + 1));
+                [indices[i], indices[j]] = [indices[j], indices[i]];
+            }
+
+            for (let start = 0; start + batchSize <= total; start += batchSize) {
+                const batch = indices.slice(start, start + batchSize);
+                const obsData = new Float32Array(batchSize * size);
+                batch.forEach((row, k) => obsData.set(rollout.obs.subarray(row * size, (row + 1) * size), k * size));
+
+                const obs = tf.tensor(obsData, [batchSize, ...this.obsShape]);
+                const actionMask = tf.oneHot(tf.tensor1d(batch.map(r => rollout.actions[r]), 'int32'), NUM_ACTIONS);
+                const oldLogProbs = tf.tensor1d(batch.map(r => rollout.logProbs[r]));
+                const returns = tf.tensor1d(batch.map(r => rollout.returns[r]));
+                const advantages = tf.tidy(() => {
+                    const adv = tf.tensor1d(batch.map(r => rollout.advantages[r]));
+                    const { mean, variance } = tf.moments(adv);
+                    return adv.sub(mean).div(variance.sqrt().add(1e-8));
+                });
+
+                const { value: lossTensor, grads } = tf.variableGrads(() => {
+                    const logits = this.policy.apply(obs, { training: true });
+                    const logProbsAll = tf.logSoftmax(logits);
+                    const logProbs = logProbsAll.mul(actionMask).sum(1);
+                    const ratio = tf.exp(logProbs.sub(oldLogProbs));
+                    const clipped = ratio.clipByValue(1 - this.clipRatio, 1 + this.clipRatio);
+                    const policyLoss = tf.minimum(ratio.mul(advantages), clipped.mul(advantages)).mean().neg();
+
+                    const values = this.critic.apply(obs, { training: true }).reshape([-1]);
+                    const valueLoss = values.sub(returns).square().mean();
+
+                    const entropy = tf.exp(logProbsAll).mul(logProbsAll).sum(1).mean().neg();
+
+                    return policyLoss.add(valueLoss.mul(this.valueCoef)).sub(entropy.mul(this.entropyCoef));
+                }, variables);
+
+                const applied = this.maxGradNorm > 0 ? clipByGlobalNorm(grads, this.maxGradNorm) : grads;
+                this.optimizer.applyGradients(applied);
+                lossSum += (await lossTensor.data())[0];
+                updates++;
+
+                tf.dispose([obs, actionMask, oldLogProbs, returns, advantages, lossTensor, grads, applied]);
+            }
+        }
+
+        return updates > 0 ? lossSum / updates : 0;
+    }
+}
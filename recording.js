@@ -0,0 +1,122 @@
+/**
+ * Episode recordings: the env config, the state the episode started from and
+ * one action per step, which is enough to re-simulate it exactly with env.js.
+ * Rewards, observations and per-step info can be kept alongside for analysis.
+ * Written by train-cli.mjs, eval.mjs and watch.html; played back by watch.html.
+ *
+ *   {
+ *     version: 1,
+ *     env: { obsMode, frameStack, ... },  // createEnv config, without seed
+ *     seed,                               // the env's seed, for reference
+ *     start,                              // env.serialize() before the first step
+ *     actions: '0210...',                 // one digit per step
+ *     rewards: [...],                     // optional
+ *     obs: [[...], ...],                  // optional, observation before each step
+ *     info: [...],                        // optional, brick lists reduced to counts
+ *     meta: { ... }                       // source, totals, checkpoint, ...
+ *   }
+ */
+
+import { createEnv } from './env.js';
+
+export const RECORDING_VERSION = 1;
+
+// Start recording env from its current state (call after reset + launch)
+export function createRecorder(env, envConfig, { rewards = true, obs = false, info = false } = {}) {
+    const start = env.serialize();
+    // A fresh frame stack is rebuilt on restore, so only keep frames mid-episode
+    if (start.frames && start.frames.length <= 1) delete start.frames;
+
+    const actions = [];
+    const stepRewards = [];
+    const stepObs = [];
+    const stepInfo = [];
+    let totalReward = 0;
+
+    return {
+        // Record one step; obsBefore is the observation the action was chosen on
+        record(action, result, obsBefore) {
+            actions.push(action);
+            totalReward += result.reward;
+            if (rewards) stepRewards.push(result.reward);
+            if (obs) stepObs.push(Array.from(obsBefore));
+            if (info) {
+                stepInfo.push({
+                    ...result.info,
+                    bricksHit: result.info.bricksHit.length,
+                    bricksDestroyed: result.info.bricksDestroyed.length
+                });
+            }
+        },
+
+        finish(meta = {}) {
+            const { score, level, lives } = env.getState();
+            return {
+                version: RECORDING_VERSION,
+                env: envConfig,
+                seed: env.seed,
+                start,
+                actions: actions.join(''),
+                ...(rewards && { rewards: stepRewards }),
+                ...(obs && { obs: stepObs }),
+                ...(info && { info: stepInfo }),
+                meta: { length: actions.length, totalReward, score, level, lives, ...meta }
+            };
+        }
+    };
+}
+
+// Re-simulate a recording once, keeping a snapshot every keyframeEvery steps,
+// so seek(t) to any step is a restore plus at most keyframeEvery steps.
+// divergedAt is the first step whose reward differs from the recorded one
+// (null if none or no rewards were recorded), which means env.js changed.
+export function createReplay(recording, { keyframeEvery = 100 } = {}) {
+    if (recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${recording.version} (expected ${RECORDING_VERSION})`);
+    }
+    const env = createEnv({ ...recording.env, seed: recording.seed });
+    const length = recording.actions.length;
+    const actionAt = t => recording.actions.charCodeAt(t) - 48;
+
+    const keyframes = [];
+    const cumulativeRewards = new Float64Array(length + 1);
+    let divergedAt = null;
+    env.restore(recording.start);
+    for (let t = 0; t < length; t++) {
+        if (t % keyframeEvery === 0) keyframes.push(env.serialize());
+        const { reward } = env.step(actionAt(t));
+        cumulativeRewards[t + 1] = cumulativeRewards[t] + reward;
+        if (divergedAt === null && recording.rewards && recording.rewards[t] !== reward) divergedAt = t;
+    }
+
+    let position = length;
+
+    // Put env in the state after the first t steps; returns the last step's result
+    function seek(t) {
+        t = Math.max(0, Math.min(length, t));
+        const k = Math.floor(t / keyframeEvery);
+        const base = Math.min(k, keyframes.length - 1);
+        env.restore(keyframes[base] ?? recording.start);
+        let result = null;
+        for (let s = base * keyframeEvery; s < t; s++) result = env.step(actionAt(s));
+        position = t;
+        return result;
+    }
+
+    // Advance one step from the current position (cheaper than seek)
+    function stepForward() {
+        if (position >= length) return null;
+        return env.step(actionAt(position++));
+    }
+
+    return {
+        env,
+        length,
+        divergedAt,
+        actionAt,
+        rewardAt: t => cumulativeRewards[Math.max(0, Math.min(length, t))],
+        position: () => position,
+        seek,
+        stepForward
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Canvas drawing of an env.js getState() snapshot, shared by watch.html and
+ * arena.html. Coordinates are the env's own 800x600 field; scale the
+ * context first to draw it smaller.
+ */
+
+const CAPSULE_COLORS = { wide: '#00ff66', multi: '#00ccff', slow: '#ffcc00', life: '#ff0066' };
+
+export function drawScene(ctx, state, width = 800, height = 600) {
+    const { paddle, bricks, capsules = [] } = state;
+    const balls = state.balls || [state.ball];
+
+    // Clear with trail effect
+    ctx.fillStyle = 'rgba(10, 10, 26, 0.3)';
+    ctx.fillRect(0, 0, width, height);
+
+    // Draw bricks
+    bricks.forEach(brick => {
+        if (!brick.alive) return;
+
+        const alpha = brick.hits / brick.maxHits;
+        ctx.fillStyle = brick.color;
+        ctx.globalAlpha = 0.3 + alpha * 0.7;
+        ctx.fillRect(brick.x, brick.y, brick.width, brick.height);
+
+        // Glow effect
+        ctx.shadowColor = brick.color;
+        ctx.shadowBlur = 10;
+        ctx.strokeStyle = brick.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(brick.x, brick.y, brick.width, brick.height);
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 1;
+
+        // Score multiplier (levels.js)
+        if (brick.multiplier > 1) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 14px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(`x${brick.multiplier}`, brick.x + brick.width / 2, brick.y + brick.height / 2 + 5);
+            ctx.textAlign = 'left';
+        }
+    });
+
+    // Draw falling power-up capsules, labeled by type
+    capsules.forEach(capsule => {
+        const color = CAPSULE_COLORS[capsule.type];
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 10;
+        ctx.fillRect(capsule.x, capsule.y, capsule.width, capsule.height);
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = '#0a0a1a';
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(capsule.type[0].toUpperCase(), capsule.x + capsule.width / 2, capsule.y + capsule.height - 2);
+        ctx.textAlign = 'left';
+    });
+
+    // Draw paddle
+    ctx.fillStyle = '#00ffff';
+    ctx.shadowColor = '#00ffff';
+    ctx.shadowBlur = 15;
+    ctx.fillRect(paddle.x, paddle.y, paddle.width, paddle.height);
+    ctx.shadowBlur = 0;
+
+    // Draw balls
+    balls.forEach(ball => {
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.shadowColor = '#ffffff';
+        ctx.shadowBlur = 20;
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    });
+}
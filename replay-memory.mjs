@@ -0,0 +1,299 @@
+/**
+ * Experience replay for train-cli.mjs and its actor workers.
+ */
+
+const ARRAY_TYPES = { Uint8Array, Float32Array, Float64Array };
+
+// Lay typed arrays out one after another (8-byte aligned) in a single byte
+// array; columns records where each one starts
+function packColumns(arrays) {
+    let offset = 0;
+    const columns = Object.entries(arrays).map(([name, array]) => {
+        const column = { name, type: array.constructor.name, offset, length: array.length };
+        offset += Math.ceil(array.byteLength / 8) * 8;
+        return column;
+    });
+    const data = new Uint8Array(offset);
+    columns.forEach(({ name, offset }) => {
+        const array = arrays[name];
+        data.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+    });
+    return { columns, data };
+}
+
+function unpackColumns(columns, data) {
+    // Typed array views need aligned offsets; a Buffer from a small file may not be
+    const bytes = data.byteOffset % 8 === 0 ? data : new Uint8Array(data);
+    const arrays = {};
+    for (const { name, type, offset, length } of columns) {
+        const ArrayType = ARRAY_TYPES[type];
+        if (!ArrayType || offset + length * ArrayType.BYTES_PER_ELEMENT > bytes.byteLength) {
+            throw new Error(`replay column ${name} doesn't fit the data`);
+        }
+        arrays[name] = new ArrayType(bytes.buffer, bytes.byteOffset + offset, length);
+    }
+    return arrays;
+}
+
+// Ring buffer for experience replay. random (Math.random by default) draws
+// the samples, so a seeded one makes them reproducible.
+export class RingBuffer {
+    constructor(size, { random = Math.random } = {}) {
+        this.size = size;
+        this.buffer = [];
+        this.idx = 0;
+        this.random = random;
+    }
+
+    push(item) {
+        if (this.buffer.length < this.size) {
+            this.buffer.push(item);
+        } else {
+            this.buffer[this.idx] = item;
+        }
+        this.idx = (this.idx + 1) % this.size;
+    }
+
+    sample(count) {
+        const batch = [];
+        for (let i = 0; i < count; i++) {
+            batch.push(this.buffer[Math.floor(this.random() * this.buffer.length)]);
+        }
+        return batch;
+    }
+
+    length() {
+        return this.buffer.length;
+    }
+
+    // Compact binary copy of the contents for checkpoints: header is JSON,
+    // data holds the transitions column by column (observations as bytes
+    // for pixel replay, float32 otherwise), in slot order
+    toBinary(extraColumns = {}) {
+        const n = this.buffer.length;
+        const obsSize = n > 0 ? this.buffer[0].state.length : 0;
+        const ObsArray = n > 0 && this.buffer[0].state instanceof Uint8Array ? Uint8Array : Float32Array;
+        const states = new ObsArray(n * obsSize);
+        const nextStates = new ObsArray(n * obsSize);
+        const actions = new Uint8Array(n);
+        const rewards = new Float64Array(n);
+        const discounts = new Float64Array(n);
+        this.buffer.forEach((t, i) => {
+            states.set(t.state, i * obsSize);
+            nextStates.set(t.nextState, i * obsSize);
+            actions[i] = t.action;
+            rewards[i] = t.reward;
+            discounts[i] = t.discount;
+        });
+        const { columns, data } = packColumns({ states, nextStates, actions, rewards, discounts, ...extraColumns });
+        return { header: { size: this.size, idx: this.idx, length: n, obsSize, columns }, data };
+    }
+
+    // Replace the contents with a toBinary() copy; returns the unpacked
+    // columns for subclasses
+    fromBinary(header, data) {
+        const { size, idx, length: n, obsSize, columns } = header;
+        if (size !== this.size) throw new Error(`saved replay memory holds ${size} transitions, this one ${this.size}`);
+        const arrays = unpackColumns(columns, data);
+        const { states, nextStates, actions, rewards, discounts } = arrays;
+        this.buffer = new Array(n);
+        for (let i = 0; i < n; i++) {
+            this.buffer[i] = {
+                state: states.slice(i * obsSize, (i + 1) * obsSize),
+                action: actions[i],
+                reward: rewards[i],
+                nextState: nextStates.slice(i * obsSize, (i + 1) * obsSize),
+                discount: discounts[i]
+            };
+        }
+        this.idx = idx;
+        return arrays;
+    }
+}
+
+// Turns one env's stream of 1-step transitions into n-step ones:
+// reward becomes r_t + γ r_{t+1} + ... + γ^(k-1) r_{t+k-1}, nextState is
+// s_{t+k}, and discount is the γ^k to bootstrap with (0 after game over).
+// With n = 1 this only adds discount = γ (or 0) to each transition.
+export class NStepAccumulator {
+    constructor(n, gamma) {
+        this.n = n;
+        this.gamma = gamma;
+        this.queue = [];
+    }
+
+    // episodeEnd covers truncation too: the queue is flushed either way,
+    // but only a real game over (done) stops the bootstrap
+    push({ state, action, reward, nextState, done }, episodeEnd = done) {
+        this.queue.push({ state, action, reward });
+        const ready = [];
+        if (done || episodeEnd) {
+            while (this.queue.length > 0) ready.push(this.emit(nextState, done));
+        } else if (this.queue.length === this.n) {
+            ready.push(this.emit(nextState, false));
+        }
+        return ready;
+    }
+
+    emit(nextState, done) {
+        const first = this.queue[0];
+        let ret = 0;
+        for (let k = this.queue.length - 1; k >= 0; k--) {
+            ret = this.queue[k].reward + this.gamma * ret;
+        }
+        const discount = done ? 0 : Math.pow(this.gamma, this.queue.length);
+        this.queue.shift();
+        return { state: first.state, action: first.action, reward: ret, nextState, discount };
+    }
+
+    // The steps still waiting for their n-step return, as plain JSON
+    serialize() {
+        return this.queue.map(({ state, action, reward }) => ({ state: Array.from(state), action, reward }));
+    }
+
+    // ObsArray is the typed array the states were stored as
+    restore(queue, ObsArray = Float32Array) {
+        this.queue = queue.map(({ state, action, reward }) => ({ state: ObsArray.from(state), action, reward }));
+    }
+}
+
+// Binary sum tree: leaf i holds a priority, every parent the sum of its
+// children, so sampling proportional to priority is a walk from the root.
+// Leaves are padded to a power of two; padding leaves stay at 0.
+export class SumTree {
+    constructor(capacity) {
+        this.leaves = 1;
+        while (this.leaves < capacity) this.leaves *= 2;
+        this.tree = new Float64Array(2 * this.leaves);
+    }
+
+    update(index, value) {
+        let i = index + this.leaves;
+        this.tree[i] = value;
+        for (i >>= 1; i >= 1; i >>= 1) {
+            this.tree[i] = this.tree[2 * i] + this.tree[2 * i + 1];
+        }
+    }
+
+    // Replace every leaf at once and recompute parents bottom-up (O(n))
+    rebuild(values) {
+        this.tree.fill(0);
+        this.tree.set(values, this.leaves);
+        for (let i = this.leaves - 1; i >= 1; i--) {
+            this.tree[i] = this.tree[2 * i] + this.tree[2 * i + 1];
+        }
+    }
+
+    get(index) {
+        return this.tree[index + this.leaves];
+    }
+
+    total() {
+        return this.tree[1];
+    }
+
+    // Index of the leaf where the running sum of priorities passes mass
+    find(mass) {
+        let i = 1;
+        while (i < this.leaves) {
+            const left = 2 * i;
+            if (mass < this.tree[left] || this.tree[left + 1] === 0) {
+                i = left;
+            } else {
+                mass -= this.tree[left];
+                i = left + 1;
+            }
+        }
+        return i - this.leaves;
+    }
+}
+
+// Prioritized experience replay (Schaul et al. 2015, proportional variant).
+// Same ring-buffer storage and size cap as RingBuffer; each slot also has a
+// priority |TD error| + epsilon, sampled with probability p^alpha / sum(p^alpha).
+// New transitions get the highest priority seen so far so they are replayed
+// at least once.
+export class PrioritizedReplayBuffer extends RingBuffer {
+    constructor(size, { alpha = 0.6, epsilon = 1e-6, random = Math.random } = {}) {
+        super(size, { random });
+        this.alpha = alpha;
+        this.epsilon = epsilon;
+        this.priorities = new Float64Array(size);
+        this.maxPriority = 1;
+        this.tree = new SumTree(size);
+    }
+
+    push(item) {
+        const index = this.idx;
+        super.push(item);
+        this.priorities[index] = this.maxPriority;
+        this.tree.update(index, Math.pow(this.maxPriority, this.alpha));
+    }
+
+    // Stratified sample: one draw from each of count equal slices of the
+    // total priority mass. weights are the importance-sampling corrections
+    // (N * P(i))^-beta, normalized so the largest in the batch is 1.
+    sample(count, beta = 1) {
+        const total = this.tree.total();
+        const segment = total / count;
+        const n = this.buffer.length;
+        const items = new Array(count);
+        const indices = new Array(count);
+        const weights = new Float32Array(count);
+        let maxWeight = 0;
+
+        for (let i = 0; i < count; i++) {
+            const mass = Math.min((i + this.random()) * segment, total * (1 - 1e-12));
+            const index = Math.min(this.tree.find(mass), n - 1);
+            const prob = this.tree.get(index) / total;
+            items[i] = this.buffer[index];
+            indices[i] = index;
+            weights[i] = Math.pow(n * prob, -beta);
+            maxWeight = Math.max(maxWeight, weights[i]);
+        }
+        for (let i = 0; i < count; i++) weights[i] /= maxWeight;
+
+        return { items, indices, weights };
+    }
+
+    updatePriorities(indices, tdErrors) {
+        indices.forEach((index, i) => {
+            const priority = Math.abs(tdErrors[i]) + this.epsilon;
+            this.priorities[index] = priority;
+            this.maxPriority = Math.max(this.maxPriority, priority);
+            this.tree.update(index, Math.pow(priority, this.alpha));
+        });
+    }
+
+    toBinary() {
+        const snapshot = super.toBinary({ priorities: this.priorities.subarray(0, this.buffer.length) });
+        snapshot.header.maxPriority = this.maxPriority;
+        return snapshot;
+    }
+
+    fromBinary(header, data) {
+        if (!header.columns.some(c => c.name === 'priorities')) {
+            throw new Error('saved replay memory has no priorities (trained without --per)');
+        }
+        const { priorities } = super.fromBinary(header, data);
+        this.priorities.fill(0);
+        this.priorities.set(priorities);
+        this.maxPriority = header.maxPriority;
+        this.rebuildTree();
+        return { priorities };
+    }
+
+    // Changing alpha re-weights every stored priority, so only call this
+    // when the annealed value has actually moved
+    setAlpha(alpha) {
+        if (alpha === this.alpha) return;
+        this.alpha = alpha;
+        this.rebuildTree();
+    }
+
+    rebuildTree() {
+        const values = new Float64Array(this.buffer.length);
+        for (let i = 0; i < values.length; i++) values[i] = Math.pow(this.priorities[i], this.alpha);
+        this.tree.rebuild(values);
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Reward functions for env.js, chosen with createEnv({ reward }).
+ *
+ * A reward function is called after every step as fn(prev, next, events):
+ *   prev, next  { score, lives, level, bricksLeft } before and after the step
+ *   events      { bricksHit, bricksDestroyed, paddleHits, wallBounces,
+ *                 lifeLost, levelCleared, done, powerupsCollected }
+ * bricksHit and bricksDestroyed are the bricks involved, as in step()'s info;
+ * paddleHits and wallBounces count ball bounces over all balls.
+ *
+ * Whatever the reward, step() also reports the game's own reward as
+ * info.rawReward and the score as info.score, so runs trained on different
+ * rewards can still be compared.
+ */
+
+// The game's own reward: points scored (10 * combo * level * multiplier per
+// brick), -100 per life lost, +500 per level cleared
+export function scoreReward(prev, next, events) {
+    let reward = next.score - prev.score;
+    if (events.lifeLost) reward -= 100;
+    if (events.levelCleared) reward += 500;
+    return reward;
+}
+
+// Flat reward per brick, without the combo and level scaling
+function bricksReward(prev, next, events) {
+    return events.bricksDestroyed.length - (events.lifeLost ? 1 : 0) + (events.levelCleared ? 10 : 0);
+}
+
+export const REWARD_PRESETS = {
+    score: scoreReward,
+    // Sign of the game reward, as in DQN on Atari
+    clipped: (prev, next, events) => Math.sign(scoreReward(prev, next, events)),
+    bricks: bricksReward,
+    // bricks plus a bonus for every ball returned with the paddle
+    paddle: (prev, next, events) => bricksReward(prev, next, events) + 0.2 * events.paddleHits,
+    // Outcome only: +1 per level cleared, -1 when the game is lost
+    sparse: (prev, next, events) => (events.levelCleared ? 1 : 0) - (events.done ? 1 : 0)
+};
+
+// A preset name or a custom reward function. Functions don't survive JSON:
+// a recording made with one replays under the default reward and is
+// flagged as diverged.
+export function resolveReward(reward = 'score') {
+    if (typeof reward === 'function') return reward;
+    if (!REWARD_PRESETS[reward]) {
+        throw new Error(`Unknown reward "${reward}" (expected a function or one of: ${Object.keys(REWARD_PRESETS).join(', ')})`);
+    }
+    return REWARD_PRESETS[reward];
+}
@@ -3,6 +3,10 @@
  */
 
 import { createEnv } from './env.js';
+import { createVecEnv } from './vec-env.js';
+import { createReplay } from './recording.js';
+import { TimeLimit, FrameSkip, StickyActions, NormalizeObservation, EpisodeStatistics } from './wrappers.js';
+import { resolveCurriculum, stageOptions } from './curriculum.mjs';
 
 let passed = 0;
 let failed = 0;
@@ -29,6 +33,7 @@ assert(typeof env.getObs === 'function', 'env.getObs is a function');
 const obs1 = env.reset();
 assert(obs1 instanceof Float32Array, 'reset() returns Float32Array');
 assert(obs1.length === 13, `observation has 13 elements (got ${obs1.length})`);
+assert(env.obsMode === 'vector' && env.obsShape[0] === 13, 'default obsMode is vector with obsShape [13]');
 
 // Test 3: observations are normalized [0,1] or small range for velocities
 assert(obs1[0] >= 0 && obs1[0] <= 1, `ball.x is normalized [0,1] (got ${obs1[0]})`);
@@ -70,49 +75,497 @@ assert(obsAfterMove[5] === 1, 'ball is launched');
 assert(obsAfterMove[1] !== obsBeforeMove[1], `ball.y changes after step when launched (${obsBeforeMove[1]} -> ${obsAfterMove[1]})`);
 
 // Test 8: hitting bottom loses a life and gives negative reward
-env.reset();
-env.launch();
+const env8 = createEnv({ seed: 42 });
+env8.reset();
+env8.launch();
 let totalReward = 0;
-let lifeLost = false;
-for (let i = 0; i < 2000 && !lifeLost; i++) {
-    const r = env.step(1); // stay still, ball will eventually fall
+let lifeLostStep = -1;
+for (let i = 1; i <= 2000 && lifeLostStep < 0; i++) {
+    const r = env8.step(1); // stay still, ball will eventually fall
     totalReward += r.reward;
-    if (r.info.lifeLost) lifeLost = true;
+    if (r.info.lifeLost) lifeLostStep = i;
 }
-assert(lifeLost, 'life is lost when ball hits bottom');
-assert(totalReward < 0, `negative reward when life lost (got ${totalReward})`);
+assert(lifeLostStep === 277, `seed 42: life is lost at step 277 (got ${lifeLostStep})`);
+assert(totalReward === -80, `seed 42: reward is -80 when life lost (got ${totalReward})`);
 
 // Test 9: breaking a brick gives positive reward
-env.reset();
-env.launch();
-let brickBroken = false;
+const env9 = createEnv({ seed: 42 });
+env9.reset();
+env9.launch();
+let brickStep = -1;
 let brickReward = 0;
-for (let i = 0; i < 500 && !brickBroken; i++) {
+let brickEvents = [];
+for (let i = 1; i <= 500 && brickStep < 0; i++) {
     // Chase the ball with paddle
-    const obs = env.getObs();
+    const obs = env9.getObs();
     const ballX = obs[0];
     const paddleX = obs[4];
     const action = ballX < paddleX ? 0 : ballX > paddleX + 0.15 ? 2 : 1;
-    const r = env.step(action);
+    const r = env9.step(action);
     if (r.reward > 0) {
-        brickBroken = true;
+        brickStep = i;
         brickReward = r.reward;
+        brickEvents = r.info.bricksDestroyed;
     }
 }
-assert(brickBroken, 'brick can be broken');
-assert(brickReward > 0, `positive reward for breaking brick (got ${brickReward})`);
+assert(brickStep === 66, `seed 42: first brick broken at step 66 (got ${brickStep})`);
+assert(brickReward === 10, `seed 42: reward 10 for breaking brick (got ${brickReward})`);
+assert(brickEvents.length === 1, `info.bricksDestroyed reports the broken brick (got ${brickEvents.length})`);
+assert(env9.getState().bricks.filter(b => !b.alive).length === 1, 'getState().bricks marks the broken brick dead');
 
 // Test 10: game ends (done=true) when all lives lost
-env.reset();
-env.launch();
+const env10 = createEnv({ seed: 7 });
+env10.reset();
+env10.launch();
 let done = false;
 let steps = 0;
 for (let i = 0; i < 10000 && !done; i++) {
-    const r = env.step(1); // stay still, lose all lives
+    const r = env10.step(1); // stay still, lose all lives
     done = r.done;
     steps++;
 }
-assert(done, `game ends when all lives lost (took ${steps} steps)`);
+assert(done && steps === 432, `seed 7: game ends at step 432 when all lives lost (took ${steps} steps)`);
+
+// Test 11: same seed and actions give identical trajectories
+function rollout(seed, n) {
+    const e = createEnv({ seed });
+    const trace = [Array.from(e.reset())];
+    e.launch();
+    for (let i = 0; i < n; i++) trace.push(Array.from(e.step(i % 3).obs));
+    return JSON.stringify(trace);
+}
+assert(rollout(123, 1000) === rollout(123, 1000), 'same seed reproduces the same trajectory');
+assert(rollout(123, 1000) !== rollout(124, 1000), 'different seeds give different trajectories');
+assert(createEnv({ seed: 5 }).seed === 5, 'env.seed reports the seed it was created with');
+
+// Test 12: serialize()/restore() replays a trajectory exactly
+const env12 = createEnv({ seed: 99 });
+env12.reset();
+env12.launch();
+for (let i = 0; i < 300; i++) env12.step(i % 3);
+const snapshot = JSON.parse(JSON.stringify(env12.serialize()));
+const forward = [];
+for (let i = 0; i < 1500; i++) forward.push(Array.from(env12.step((i * 7) % 3).obs));
+
+const restored = createEnv({ seed: 1 });
+restored.reset();
+const restoredObs = restored.restore(snapshot);
+assert(restoredObs instanceof Float32Array && restoredObs[5] === 1, 'restore() returns the restored observation');
+const replayed = [];
+for (let i = 0; i < 1500; i++) replayed.push(Array.from(restored.step((i * 7) % 3).obs));
+assert(JSON.stringify(forward) === JSON.stringify(replayed), 'restored env replays the trajectory exactly');
+assert(JSON.stringify(restored.serialize()) === JSON.stringify(env12.serialize()), 'restored env ends in the same state');
+
+// Test 13: getState() exposes the brick grid
+env.reset();
+const bricks = env.getState().bricks;
+assert(bricks.length === 50, `getState() exposes 50 bricks (got ${bricks.length})`);
+assert(bricks.every(b => typeof b.color === 'string' && b.alive && b.hits === b.maxHits), 'bricks carry color and full hit counts after reset');
+assert(bricks[0].maxHits === 2 && bricks[49].maxHits === 1, 'top rows take 2 hits, bottom rows take 1');
+
+// Test 14: grid observation exposes every brick
+const gridEnv = createEnv({ seed: 42, obsMode: 'grid' });
+const gridObs = gridEnv.reset();
+assert(gridEnv.obsShape.length === 1 && gridEnv.obsShape[0] === 58, `grid obsShape is [58] (got [${gridEnv.obsShape}])`);
+assert(gridObs.length === 58, `grid observation has 58 elements (got ${gridObs.length})`);
+assert(gridObs[8] === 1 && gridObs[57] === 0.5, 'grid encodes remaining hits per brick');
+assert(env.obsFeatures.length === 13 && env.obsFeatures[4] === 'paddle_x' && env.obsFeatures[12] === 'row_4_bricks', 'vector obsFeatures name all 13 features');
+assert(gridEnv.obsFeatures.length === 58 && gridEnv.obsFeatures[8] === 'brick_0_0' && gridEnv.obsFeatures[57] === 'brick_4_9', 'grid obsFeatures name every brick cell');
+gridEnv.launch();
+let gridBroken = -1;
+for (let i = 0; i < 500 && gridBroken < 0; i++) {
+    const o = gridEnv.getObs();
+    const r = gridEnv.step(o[0] < o[4] ? 0 : o[0] > o[4] + 0.15 ? 2 : 1);
+    if (r.info.bricksDestroyed.length > 0) gridBroken = i;
+}
+const gridAfter = gridEnv.getObs();
+const deadCells = Array.from(gridAfter.slice(8)).filter(v => v === 0).length;
+assert(gridBroken >= 0 && deadCells === 1, `grid marks the broken brick's cell as 0 (got ${deadCells} empty cells)`);
+
+// Test 15: pixel observation rasterizes the field, with frame stacking
+const pixEnv = createEnv({ seed: 42, obsMode: 'pixels', frameStack: 4 });
+const pixObs = pixEnv.reset();
+const [ph, pw, pc] = pixEnv.obsShape;
+assert(ph === 60 && pw === 80 && pc === 4, `pixels obsShape is [60,80,4] (got [${pixEnv.obsShape}])`);
+assert(pixObs.length === 60 * 80 * 4, `pixel observation has ${60 * 80 * 4} elements (got ${pixObs.length})`);
+assert(pixObs.every(v => v >= 0 && v <= 1), 'pixel values are in [0,1]');
+assert(pixEnv.obsFeatures === null, 'pixels have no named features');
+const paddleCell = ((560 / 10) * 80 + 40) * 4;
+assert(pixObs[paddleCell] === 0.75, 'paddle is drawn into the frame');
+pixEnv.launch();
+pixEnv.step(1);
+const pixAfter = pixEnv.step(1).obs;
+let framesDiffer = false;
+for (let i = 0; i < 60 * 80; i++) {
+    if (pixAfter[i * 4] !== pixAfter[i * 4 + 3]) framesDiffer = true;
+}
+assert(framesDiffer, 'stacked frames show the ball moving between oldest and newest frame');
+assert(pixEnv.getObs().every((v, i) => v === pixAfter[i]), 'getObs() does not advance the frame stack');
+
+// Test 16: VecEnv steps N envs in lockstep and auto-resets finished ones
+const vec = createVecEnv(4, { seed: 42, maxSteps: 50 });
+const vecObs = vec.reset();
+assert(vecObs.length === 4 * 13, `VecEnv.reset() stacks 4 observations (got ${vecObs.length})`);
+const single = createEnv({ seed: 43 });
+single.reset();
+single.launch();
+assert(vecObs.slice(13, 26).every((v, i) => v === single.getObs()[i]), 'VecEnv slot 1 matches a single env seeded seed+1');
+let vecResult;
+for (let i = 0; i < 50; i++) vecResult = vec.step([0, 1, 2, 1]);
+assert(vecResult.infos.every(info => info.truncated && info.episode.length === 50), 'VecEnv truncates every slot at maxSteps');
+assert(vecResult.infos.every(info => info.terminalObs instanceof Float32Array), 'VecEnv keeps the final observation in info.terminalObs');
+assert(vecResult.obs[1] > vecResult.infos[0].terminalObs[1], 'VecEnv returns the reset observation for finished slots');
+const pausedVec = createVecEnv(2, { seed: 5, maxSteps: 40 });
+let pausedObs = pausedVec.reset();
+for (let i = 0; i < 25; i++) pausedObs = pausedVec.step([i % 3, 2]).obs;
+const resumedVec = createVecEnv(2, { maxSteps: 40 });
+let resumedObs = resumedVec.restore(JSON.parse(JSON.stringify(pausedVec.serialize())));
+let vecSame = resumedObs.every((v, i) => v === pausedObs[i]);
+for (let i = 0; i < 30; i++) {
+    const a = pausedVec.step([(i >> 2) % 3, i % 3]);
+    const b = resumedVec.step([(i >> 2) % 3, i % 3]);
+    vecSame &&= a.obs.every((v, k) => v === b.obs[k]) && a.rewards.every((r, k) => r === b.rewards[k]) &&
+        JSON.stringify(a.infos.map(info => info.episode)) === JSON.stringify(b.infos.map(info => info.episode));
+}
+assert(vecSame, 'VecEnv.serialize()/restore() carries on mid-episode, step counts and episode totals included');
+
+// Test 17: recordings re-simulate exactly, including mid-stream episodes
+const recVec = createVecEnv(2, { seed: 7, maxSteps: 300, record: { every: 2 } });
+recVec.reset();
+const recordings = [];
+for (let i = 0; i < 900; i++) {
+    const { infos } = recVec.step([i % 3, (i >> 3) % 3]);
+    infos.forEach(info => info.episode?.recording && recordings.push(info.episode));
+}
+assert(recordings.length === 3, `VecEnv records every 2nd episode started (got ${recordings.length})`);
+const { recording } = recordings[recordings.length - 1];
+assert(recording.actions.length === 300 && /^[0-2]+$/.test(recording.actions), 'recording stores one action digit per step');
+const replay = createReplay(recording, { keyframeEvery: 64 });
+assert(replay.divergedAt === null, 'replaying a recording reproduces every recorded reward');
+assert(replay.rewardAt(replay.length) === recordings[recordings.length - 1].reward, 'replay total reward matches the episode');
+replay.seek(replay.length);
+const endState = JSON.stringify(replay.env.serialize());
+replay.seek(10);
+replay.seek(200);
+for (let t = 200; t < replay.length; t++) replay.stepForward();
+assert(JSON.stringify(replay.env.serialize()) === endState, 'seeking backwards and stepping forward reaches the same final state');
+
+// Test 18: level sets lay bricks out from data, with indestructible bricks and multipliers
+const LEVEL_A = { name: 'a', layout: ['#1#1#1#1#1'], multipliers: ['.3.3.3.3.3'] };
+const LEVEL_B = { name: 'b', layout: ['..........', '..........', '..........', '..........', '2222222222'] };
+const lvEnv = createEnv({ seed: 3, levels: [LEVEL_A, LEVEL_B] });
+lvEnv.reset();
+const lvStart = lvEnv.getState();
+assert(lvStart.levelName === 'a' && lvStart.bricks.length === 50 && lvStart.bricks.filter(b => b.alive).length === 10,
+    'level layout places only its own bricks on the grid');
+assert(lvStart.bricks.filter(b => b.indestructible).length === 5, 'layout marks # bricks indestructible');
+lvEnv.launch();
+let firstPoints = null;
+let indestructibleHit = false;
+let indestructibleBroken = false;
+for (let i = 0; i < 5000 && (firstPoints === null || !indestructibleHit); i++) {
+    const o = lvEnv.getObs();
+    const r = lvEnv.step(o[0] < o[4] ? 0 : o[0] > o[4] + 0.15 ? 2 : 1);
+    if (r.done) {
+        lvEnv.reset();
+        lvEnv.launch();
+    }
+    if (r.info.bricksHit.some(b => b.indestructible)) indestructibleHit = true;
+    if (r.info.bricksDestroyed.some(b => b.indestructible)) indestructibleBroken = true;
+    if (r.info.bricksDestroyed.length > 0 && firstPoints === null) firstPoints = r.reward;
+}
+assert(firstPoints === 30, `multiplier scales brick points (got ${firstPoints}, expected 30)`);
+assert(indestructibleHit && !indestructibleBroken, 'indestructible bricks bounce the ball without breaking');
+const lvSnapshot = lvEnv.serialize();
+lvSnapshot.bricks = lvSnapshot.bricks.map((b, i) => lvStart.bricks[i].indestructible ? b : { ...b, alive: false });
+lvSnapshot.ballLaunched = true;
+lvEnv.restore(lvSnapshot);
+const lvCleared = lvEnv.step(1);
+const lvNext = lvEnv.getState();
+assert(lvCleared.info.levelCleared && lvNext.level === 2 && lvNext.levelName === 'b', 'clearing the breakable bricks advances to the next layout');
+assert(lvNext.bricks.filter(b => b.alive).length === 10 && lvNext.bricks.slice(40).every(b => b.alive && b.hits === 2),
+    'next level builds its own layout');
+const lvRestored = createEnv({ seed: 3, levels: [LEVEL_A, LEVEL_B] });
+lvRestored.restore(lvEnv.serialize());
+assert(JSON.stringify(lvRestored.getState()) === JSON.stringify(lvNext), 'restore() rebuilds the snapshot level layout');
+const lvGrid = createEnv({ seed: 3, levels: [LEVEL_A, LEVEL_B], obsMode: 'grid' }).reset();
+assert(lvGrid[8] === -1 && lvGrid[9] === 0.5 && lvGrid[18] === 0, 'grid marks indestructible -1 and scales hits by the toughest brick in the set');
+assert(createEnv({ levels: 'arcade' }).levelNames.length === 5, 'built-in arcade set ships several layouts');
+let badLayout = null;
+try {
+    createEnv({ levels: [{ name: 'bad', layout: ['12'] }] });
+} catch (err) {
+    badLayout = err.message;
+}
+assert(badLayout !== null && badLayout.includes('bad'), 'malformed layouts are rejected with the level name');
+
+// Test 19: power-ups drop from bricks and change the game; multi-ball keeps the life
+assert(createEnv({ powerups: false }).obsShape[0] === 13, 'power-ups off keeps the 13-feature observation');
+const puEnv = createEnv({ seed: 11, powerups: true });
+assert(puEnv.obsShape[0] === 26 && puEnv.obsFeatures[25] === 'powerup_life', `power-ups extend the observation (got [${puEnv.obsShape}])`);
+puEnv.reset();
+puEnv.launch();
+let capsuleSeen = false;
+for (let i = 0; i < 3000 && !capsuleSeen; i++) {
+    const o = puEnv.getObs();
+    const r = puEnv.step(o[0] < o[4] ? 0 : o[0] > o[4] + 0.15 ? 2 : 1);
+    capsuleSeen = puEnv.getState().capsules.length > 0 && puEnv.getObs()[21] > 0;
+    if (r.done) {
+        puEnv.reset();
+        puEnv.launch();
+    }
+}
+assert(capsuleSeen, 'destroyed bricks drop capsules that show up in the observation');
+
+const catchCapsule = type => {
+    puEnv.reset();
+    puEnv.launch();
+    const snapshot = puEnv.serialize();
+    const { x, y } = snapshot.paddle;
+    snapshot.capsules = [{ type, x: x + 45, y: y - 14, width: 30, height: 12 }];
+    puEnv.restore(snapshot);
+    const before = puEnv.getState();
+    const r = puEnv.step(1);
+    return { r, before, after: puEnv.getState() };
+};
+const wide = catchCapsule('wide');
+assert(wide.r.info.powerupsCollected[0] === 'wide' && wide.after.paddle.width === 180, 'wide capsule widens the paddle');
+const life = catchCapsule('life');
+assert(life.after.lives === 4 && life.r.obs[6] === 1, 'life capsule adds a life; the lives feature stays within 1');
+const slow = catchCapsule('slow');
+const slowed = puEnv.getState().ball;
+puEnv.step(1);
+const slowDy = puEnv.getState().ball.y - slowed.y;
+assert(slow.after.effects.slow > 0 && Math.abs(slowDy - slowed.dy * 0.6) < 1e-9, `slow capsule slows the ball (moved ${slowDy.toFixed(2)} for dy ${slowed.dy.toFixed(2)})`);
+const multi = catchCapsule('multi');
+assert(multi.after.balls.length === 3 && puEnv.getObs()[17] === 1, 'multi capsule splits into three balls');
+const puSnapshot = puEnv.serialize();
+const puRestored = createEnv({ seed: 11, powerups: true });
+puRestored.restore(puSnapshot);
+assert(JSON.stringify(puRestored.getState()) === JSON.stringify(puEnv.getState()), 'serialize()/restore() keep extra balls, capsules and effects');
+puSnapshot.ball = { ...puSnapshot.ball, y: 700, dy: 5 };
+puEnv.restore(puSnapshot);
+const oneFell = puEnv.step(1);
+assert(!oneFell.info.lifeLost && puEnv.getState().balls.length === 2 && puEnv.getState().lives === 3, 'losing one of several balls costs no life');
+
+// Test 20: reward presets and custom reward functions, with the game reward kept in info
+const trackBall = (o, i) => i % 5 === 0 ? 1 : o[0] < o[4] + 0.05 ? 0 : 2;
+const rewardRun = (reward, policy = trackBall) => {
+    const e = createEnv({ seed: 5, reward });
+    e.reset();
+    e.launch();
+    const steps = [];
+    for (let i = 0; i < 4000; i++) {
+        const r = e.step(policy(e.getObs(), i));
+        steps.push(r);
+        if (r.done) break;
+    }
+    return steps;
+};
+const scoreSteps = rewardRun('score');
+assert(scoreSteps.every(r => r.reward === r.info.rawReward), 'default reward is the game reward');
+const clippedSteps = rewardRun('clipped');
+assert(clippedSteps.length === scoreSteps.length && clippedSteps.every((r, i) => r.reward === Math.sign(scoreSteps[i].reward) && r.info.rawReward === scoreSteps[i].reward),
+    'clipped preset clips the reward and leaves the game unchanged');
+const sparseSteps = rewardRun('sparse', () => 1);
+assert(sparseSteps[sparseSteps.length - 1].done && sparseSteps[sparseSteps.length - 1].reward === -1 &&
+    sparseSteps.slice(0, -1).every(r => r.reward === (r.info.levelCleared ? 1 : 0)), 'sparse preset only rewards the outcome');
+let paddleHitsSeen = 0;
+let statesConsistent = true;
+const customSteps = rewardRun((prev, next, events) => {
+    paddleHitsSeen += events.paddleHits;
+    if (next.lives !== prev.lives - (events.lifeLost ? 1 : 0)) statesConsistent = false;
+    if (next.bricksLeft !== prev.bricksLeft - events.bricksDestroyed.length && !events.levelCleared) statesConsistent = false;
+    return events.bricksDestroyed.length;
+});
+assert(paddleHitsSeen > 0 && statesConsistent && customSteps.every(r => r.reward === r.info.bricksDestroyed.length),
+    `custom reward function sees per-step events (${paddleHitsSeen} paddle hits)`);
+let badReward = null;
+try {
+    createEnv({ reward: 'nope' });
+} catch (err) {
+    badReward = err.message;
+}
+assert(badReward !== null && badReward.includes('sparse'), 'unknown reward presets are rejected');
+
+// Test 21: Gymnasium-style API and wrappers
+const gymEnv = createEnv({ seed: 1 });
+assert(gymEnv.actionSpace.n === 3 && gymEnv.actionSpace.meanings[1] === 'NOOP', 'actionSpace describes the 3 discrete actions');
+assert(gymEnv.observationSpace.type === 'box' && gymEnv.observationSpace.shape === gymEnv.obsShape &&
+    createEnv({ obsMode: 'pixels' }).observationSpace.high === 1, 'observationSpace describes the observation box');
+const infoKeys = r => Object.keys(r.info).sort().join();
+const preLaunch = gymEnv.step(1);
+gymEnv.launch();
+let lastStep = gymEnv.step(1);
+while (!lastStep.terminated) lastStep = gymEnv.step(1);
+assert(infoKeys(preLaunch) === infoKeys(lastStep) && lastStep.info.lives === 0 && lastStep.info.score === gymEnv.getState().score,
+    'info has the same keys before launch, mid-game and at game over');
+assert(lastStep.done && !lastStep.truncated && preLaunch.terminated === false, 'terminated (alias done) only at game over; the game never truncates');
+const firstSeeded = JSON.stringify(gymEnv.reset({ seed: 77 }));
+gymEnv.launch();
+const seededStart = gymEnv.step(1);
+gymEnv.reset({ seed: 77 });
+gymEnv.launch();
+assert(gymEnv.seed === 77 && JSON.stringify(gymEnv.step(1)) === JSON.stringify(seededStart) &&
+    JSON.stringify(createEnv({ seed: 77 }).reset()) === firstSeeded, 'reset({ seed }) reseeds like a fresh env');
+
+const limited = TimeLimit(createEnv({ seed: 2 }), 50);
+limited.reset();
+limited.launch();
+let limitStep = null;
+for (let i = 0; i < 50; i++) limitStep = limited.step(i % 3);
+assert(limitStep.truncated && !limitStep.terminated && !limitStep.done && limited.unwrapped.obsShape === limited.obsShape,
+    'TimeLimit truncates without terminating and delegates the rest');
+
+const skipped = FrameSkip(createEnv({ seed: 3 }), 4);
+const unskipped = createEnv({ seed: 3 });
+for (const e of [skipped, unskipped]) {
+    e.reset();
+    e.launch();
+}
+let skipReward = 0;
+let plainReward = 0;
+for (let i = 0; i < 100; i++) skipReward += skipped.step(i % 3).reward;
+for (let i = 0; i < 400; i++) plainReward += unskipped.step(Math.floor(i / 4) % 3).reward;
+assert(skipReward === plainReward && JSON.stringify(skipped.serialize()) === JSON.stringify(unskipped.serialize()),
+    'FrameSkip repeats each action and sums the rewards');
+
+const sticky = StickyActions(createEnv({ seed: 4 }), { p: 0.5, seed: 9 });
+sticky.reset();
+sticky.launch();
+const played = Array.from({ length: 200 }, (_, i) => sticky.step(i % 2 === 0 ? 0 : 2).info.action);
+const repeats = played.filter((a, i) => i > 0 && a === played[i - 1]).length;
+assert(repeats > 60 && repeats < 140, `StickyActions repeats the previous action about p of the time (${repeats}/199)`);
+
+const normalized = NormalizeObservation(createEnv({ seed: 5 }));
+normalized.reset();
+normalized.launch();
+let normObs = null;
+for (let i = 0; i < 500; i++) normObs = normalized.step(i % 3).obs;
+const stats = normalized.getStats();
+assert(stats.count === 501 && normObs.every(v => Math.abs(v) <= 10) && Math.abs(stats.mean[4] - 0.5) < 0.3,
+    'NormalizeObservation keeps running statistics and clips');
+
+const counted = EpisodeStatistics(TimeLimit(createEnv({ seed: 6, reward: 'clipped' }), 3000));
+counted.reset();
+counted.launch();
+let countedStep = counted.step(1);
+let countedReward = countedStep.reward;
+let countedLength = 1;
+while (!countedStep.terminated && !countedStep.truncated) {
+    countedStep = counted.step(countedLength % 3);
+    countedReward += countedStep.reward;
+    countedLength++;
+}
+const episodeStats = countedStep.info.episode;
+assert(episodeStats && episodeStats.reward === countedReward && episodeStats.length === countedLength && episodeStats.score === counted.getState().score,
+    'EpisodeStatistics reports the finished episode in info.episode');
+
+// Test 22: difficulty options and curricula
+const easy = createEnv({ seed: 8, startLevel: 3, ballSpeed: 4, paddleWidth: 200, paddleSpeed: 12, lives: 5, brickRows: 2 });
+easy.reset();
+const easyState = easy.getState();
+assert(easyState.level === 3 && easyState.lives === 5 && easyState.ball.speed === 5 &&
+    easyState.paddle.width === 200 && easyState.paddle.speed === 12 && easyState.paddle.x === 300,
+    'difficulty options set the start level (with its ball speed), lives and paddle');
+assert(easy.getObs()[6] === 1, 'the lives feature is relative to the starting lives');
+assert(easyState.bricks.filter(b => b.alive).length === 20 && easyState.bricks.slice(20).every(b => !b.alive),
+    'brickRows keeps only the top rows of the layout');
+const defaultState = createEnv({ seed: 8 }).getState();
+assert(defaultState.level === 1 && defaultState.lives === 3 && defaultState.ball.speed === 5 && defaultState.paddle.width === 120,
+    'defaults are the original game');
+const walledTop = [{ layout: ['##########', '1111111111'] }];
+const badOptions = [{ lives: 0 }, { startLevel: 1.5 }, { brickRows: 6 }, { paddleWidth: 700 }, { levels: walledTop, brickRows: 1 }];
+assert(badOptions.every(options => {
+    try {
+        createEnv(options);
+        return false;
+    } catch (err) {
+        return true;
+    }
+}), 'invalid difficulty options are rejected');
+assert(createEnv({ levels: 'arcade', brickRows: 1 }).levelNames.length === 5, 'every arcade level has breakable bricks in its top row');
+
+const basic = resolveCurriculum('basic');
+assert(resolveCurriculum('') === null && basic.length > 1 && basic.slice(0, -1).every(s => typeof s.advanceAt === 'number'),
+    'curricula resolve to stages, every one but the last with a threshold');
+assert(basic.every(s => createEnv(stageOptions(s)).obsShape.join() === createEnv().obsShape.join()),
+    'curriculum stages keep the observation shape');
+let curriculumError = null;
+try {
+    resolveCurriculum([{ paddleWidth: 200 }, { ballSpeed: 6 }]);
+} catch (err) {
+    curriculumError = err;
+}
+assert(curriculumError !== null, 'a stage without advanceAt before the last is rejected');
+
+// Test 23: with stallLimit, a ball looping between the top wall and
+// indestructible bricks is served again; by default it loops on, as it always did
+function trapBall(options) {
+    const env = createEnv({ seed: 9, levels: [{ layout: ['..........', '##########', '..........', '..........', '1111111111'] }], ...options });
+    env.reset();
+    const snapshot = env.serialize();
+    env.restore({ ...snapshot, ballLaunched: true, ball: { ...snapshot.ball, x: 400, y: 40, dx: 0, dy: -5 } });
+    let steps = 0;
+    let result = null;
+    while (env.getState().ball.y < 93 && steps < 5000) {
+        result = env.step(1);
+        steps++;
+    }
+    return { env, steps, result };
+}
+const trap = trapBall({ stallLimit: 1000 });
+assert(trap.steps === 1000 && trap.env.getState().ball.y > 500 && !trap.result.info.lifeLost && trap.env.getState().lives === 3,
+    'stallLimit serves a ball stalled for that many steps again from the paddle, without losing a life');
+assert(trapBall({}).steps === 5000, 'without stallLimit the game never serves a stalled ball again');
+let stallError = null;
+try {
+    createEnv({ stallLimit: -1 });
+} catch (err) {
+    stallError = err;
+}
+assert(stallError !== null, 'a negative stallLimit is rejected');
+
+// Test 24: swept physics stops fast balls passing through bricks and the paddle
+function fastBall(physics, ball) {
+    const env = createEnv({ seed: 10, physics, levels: [{ layout: ['1111111111'] }] });
+    env.reset();
+    const snapshot = env.serialize();
+    env.restore({ ...snapshot, ballLaunched: true, ball: { ...snapshot.ball, ...ball } });
+    const results = [env.step(1), env.step(1)];
+    return { env, results };
+}
+// 60 px a step jumps from below the brick row to above it, and over the paddle
+const upLegacy = fastBall('legacy', { x: 70, y: 170, dx: 0, dy: -60 });
+const upSwept = fastBall('swept', { x: 70, y: 170, dx: 0, dy: -60 });
+assert(upLegacy.results.every(r => r.info.bricksDestroyed.length === 0) && upLegacy.env.getState().ball.y < 60,
+    'legacy physics lets a fast ball pass through a brick');
+assert(upSwept.results[1].info.bricksDestroyed.length === 1 && upSwept.env.getState().ball.dy === 60 &&
+    Math.abs(upSwept.env.getState().ball.y - (85 + 8 + 43)) < 1e-9,
+    'swept physics bounces it off the brick and carries on with the rest of the move');
+const downLegacy = fastBall('legacy', { x: 400, y: 490, dx: 0, dy: 60 });
+const downSwept = fastBall('swept', { x: 400, y: 490, dx: 0, dy: 60 });
+assert(downLegacy.results[1].info.lifeLost, 'legacy physics lets a fast ball pass the paddle');
+const sweptBall = downSwept.env.getState().ball;
+assert(!downSwept.results[1].info.lifeLost && sweptBall.dy === -60 && Math.abs(sweptBall.dx) < 1e-9,
+    'swept physics returns it from the paddle at the same speed');
+const edgeEnv = createEnv({ seed: 10, physics: 'swept' });
+edgeEnv.reset();
+const edgeSnapshot = edgeEnv.serialize();
+edgeEnv.restore({ ...edgeSnapshot, ballLaunched: true, ball: { ...edgeSnapshot.ball, x: 460, y: 545, dx: 0, dy: 10 } });
+edgeEnv.step(1);
+const edgeBall = edgeEnv.getState().ball;
+assert(Math.abs(Math.hypot(edgeBall.dx, edgeBall.dy) - 10) < 1e-9 && Math.abs(Math.atan2(edgeBall.dx, -edgeBall.dy) - Math.PI / 3) < 1e-9,
+    'the paddle end sends a swept ball off at 60 degrees');
+assert([{ physics: 'exact' }, { substeps: 2 }, { physics: 'swept', substeps: 0 }].every(options => {
+    try {
+        createEnv(options);
+        return false;
+    } catch (err) {
+        return true;
+    }
+}) && createEnv({ physics: 'swept', substeps: 4 }).physics === 'swept' && createEnv().physics === 'legacy',
+    'physics and substeps are validated, legacy by default');
 
 // Summary
 console.log(`\n${'='.repeat(40)}`);
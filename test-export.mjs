@@ -0,0 +1,132 @@
+/**
+ * Parity test for standalone agents (export-agent.mjs): the exported module
+ * must reproduce TensorFlow.js predictions, and training must keep an exported
+ * agent.js in step with its checkpoint. Needs @tensorflow/tfjs-node, so
+ * it runs as npm run test:export rather than in npm test.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createEnv } from './env.js';
+import { createModel } from './model.mjs';
+import { exportAgent } from './export-agent.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RUNS_DIR = path.join(__dirname, 'runs');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+        passed++;
+    } else {
+        console.log(`✗ ${message}`);
+        failed++;
+    }
+}
+
+await tf.setBackend('cpu');
+await tf.ready();
+
+console.log('=== Standalone Agent Export Tests ===\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breakout-export-'));
+const runsExisted = fs.existsSync(RUNS_DIR);
+const RUN = `test-export-${process.pid}`;
+
+// Save a model the way train-cli.mjs does, export it and import the result
+async function exportModel(name, model, state) {
+    const dir = path.join(tmpDir, name);
+    await model.save(`file://${dir}`);
+    fs.writeFileSync(path.join(dir, 'state.json'), JSON.stringify(state));
+    const source = exportAgent(dir);
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+}
+
+// Observations from a game played with random actions
+function playedObservations(envConfig, count) {
+    const env = createEnv({ ...envConfig, seed: 42 });
+    env.reset();
+    env.launch();
+    const observations = [];
+    while (observations.length < count) {
+        const result = env.step(Math.floor(Math.random() * 3));
+        observations.push(result.obs);
+        if (result.done) {
+            env.reset();
+            env.launch();
+        }
+    }
+    return observations;
+}
+
+const CASES = [
+    { name: 'vector', env: { obsMode: 'vector' }, options: {} },
+    { name: 'vector dueling', env: { obsMode: 'vector' }, options: { dueling: true } },
+    { name: 'grid with power-ups', env: { obsMode: 'grid', powerups: true }, options: { hiddenUnits: [64, 32] } }
+];
+
+try {
+    // Test 1: exported agents match tfjs outputs and greedy actions
+    for (const { name, env: envConfig, options } of CASES) {
+        const obsShape = createEnv(envConfig).obsShape;
+        const model = createModel(obsShape, 0.001, options);
+        // Random biases too, so the test covers them (they start at zero)
+        model.setWeights(model.getWeights().map(w => tf.randomNormal(w.shape, 0, 0.5)));
+        const agent = await exportModel(name.replace(/ /g, '-'), model, { env: envConfig, episode: 7 });
+
+        const observations = playedObservations(envConfig, 200);
+        const expected = tf.tidy(() => model.predict(tf.tensor(observations.flatMap(o => Array.from(o)), [observations.length, ...obsShape])).arraySync());
+        let maxDiff = 0;
+        let agree = 0;
+        observations.forEach((obs, i) => {
+            const outputs = agent.predict(obs);
+            outputs.forEach((v, j) => { maxDiff = Math.max(maxDiff, Math.abs(v - expected[i][j]) / Math.max(1, Math.abs(expected[i][j]))); });
+            if (agent.act(obs) === expected[i].indexOf(Math.max(...expected[i]))) agree++;
+        });
+        assert(maxDiff < 1e-4, `${name}: outputs match tfjs (max relative difference ${maxDiff.toExponential(2)})`);
+        assert(agree === observations.length, `${name}: greedy actions match tfjs (${agree}/${observations.length})`);
+        assert(agent.META.obsShape.join() === obsShape.join() && agent.META.env.obsMode === envConfig.obsMode && agent.META.episode === 7,
+            `${name}: META describes the env and checkpoint`);
+    }
+
+    // Test 2: pixel models (conv layers) are refused
+    let convError = null;
+    try {
+        const pixels = createModel(createEnv({ obsMode: 'pixels' }).obsShape, 0.001);
+        await exportModel('pixels', pixels, { env: { obsMode: 'pixels' } });
+    } catch (err) {
+        convError = err;
+    }
+    assert(convError !== null && /Conv2D/.test(convError.message), 'pixel models are refused with a clear error');
+
+    // Test 3: training re-exports an agent.js it saves over
+    const train = (...flags) => execFileSync(process.execPath, [
+        ...process.execArgv, path.join(__dirname, 'train-cli.mjs'), `--run=${RUN}`, '--save-every=1', ...flags
+    ], { cwd: __dirname, stdio: 'pipe' });
+    const modelDir = path.join(RUNS_DIR, RUN, 'model');
+    train('--max-total-steps=200');
+    fs.writeFileSync(path.join(modelDir, 'agent.js'), exportAgent(modelDir));
+    train('--resume', '--max-total-steps=400');
+    const reexported = fs.existsSync(path.join(modelDir, 'agent.js'))
+        ? await import(pathToFileURL(path.join(modelDir, 'agent.js')).href)
+        : null;
+    const saved = JSON.parse(fs.readFileSync(path.join(modelDir, 'state.json'), 'utf-8'));
+    assert(reexported !== null && reexported.META.totalSteps === saved.totalSteps && saved.totalSteps >= 400,
+        'agent.js survives the next checkpoint save and matches its weights');
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.rmSync(path.join(RUNS_DIR, RUN), { recursive: true, force: true });
+    if (!runsExisted) fs.rmSync(RUNS_DIR, { recursive: true, force: true });
+}
+
+// Summary
+console.log(`\n${'='.repeat(40)}`);
+console.log(`Passed: ${passed}, Failed: ${failed}`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,89 @@
+/**
+ * Tests for PPO (ppo.mjs): GAE against hand-computed advantages and returns,
+ * and the direction of a clipped-surrogate update. Needs
+ * @tensorflow/tfjs-node, so it runs as npm run test:ppo rather than in npm test.
+ */
+
+import * as tf from '@tensorflow/tfjs-node';
+import { PPOTrainer } from './ppo.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+        passed++;
+    } else {
+        console.log(`✗ ${message}`);
+        failed++;
+    }
+}
+
+const close = (a, b, tol = 1e-5) => Math.abs(a - b) <= tol;
+
+await tf.setBackend('cpu');
+await tf.ready();
+
+console.log('=== PPO Tests ===\n');
+
+// Test 1: GAE over 3 steps of 3 envs (rows are t * N + i), gamma 0.9 and
+// lambda 0.8. Env 0 runs on and bootstraps from its last value, env 1's
+// game ends after t=1 (bootstrap 0), env 2 is truncated after t=1 with
+// V(final obs) = 3.
+const gae = new PPOTrainer([4], { gamma: 0.9, lambda: 0.8, hiddenUnits: [8] });
+const rollout = {
+    values: Float32Array.from([1, 0.5, 0, 2, 1, 0, 3, 1.5, 0]),
+    rewards: Float32Array.from([1, 0, 1, 0, 1, 1, 2, 1, 1]),
+    episodeEnds: Uint8Array.from([0, 0, 0, 0, 1, 1, 0, 0, 0]),
+    bootstraps: Float32Array.from([0, 0, 0, 0, 0, 3, 0, 0, 0]),
+    lastValues: Float32Array.from([4, 2, 0])
+};
+gae.computeAdvantages(rollout, 3, 3);
+// By hand, delta = r + 0.9 * V(next) - V and A = delta + 0.72 * A(next)
+// (no carry across an episode end), return = A + V:
+//   env 0: t2 2 + 3.6 - 3 = 2.6; t1 0 + 2.7 - 2 + 0.72 * 2.6 = 2.572; t0 1 + 1.8 - 1 + 0.72 * 2.572 = 3.65184
+//   env 1: t2 1 + 1.8 - 1.5 = 1.3; t1 1 + 0 - 1 = 0; t0 0 + 0.9 - 0.5 + 0 = 0.4
+//   env 2: t2 1; t1 1 + 2.7 = 3.7; t0 1 + 0.72 * 3.7 = 3.664
+const expectedAdvantages = [3.65184, 0.4, 3.664, 2.572, 0, 3.7, 2.6, 1.3, 1];
+const expectedReturns = [4.65184, 0.9, 3.664, 4.572, 1, 3.7, 5.6, 2.8, 1];
+assert(expectedAdvantages.every((a, row) => close(rollout.advantages[row], a)),
+    `GAE advantages match the hand-computed values (got ${Array.from(rollout.advantages, a => a.toFixed(5)).join(', ')})`);
+assert(expectedReturns.every((r, row) => close(rollout.returns[row], r)), 'returns are advantages plus values');
+assert(close(rollout.advantages[4], 0) && close(rollout.advantages[1], 0.4),
+    'a game over cuts the advantage off from the next episode');
+
+const tdRollout = { ...rollout };
+new PPOTrainer([4], { gamma: 0.9, lambda: 0, hiddenUnits: [8] }).computeAdvantages(tdRollout, 3, 3);
+assert([1.8, 0.4, 1, 0.7, 0, 3.7, 2.6, 1.3, 1].every((a, row) => close(tdRollout.advantages[row], a)),
+    'lambda 0 gives one-step TD errors');
+
+// Test 2: an update makes actions with positive advantage more likely and
+// moves the critic toward the returns
+const trainer = new PPOTrainer([4], { learningRate: 0.01, epochs: 8, minibatchSize: 32, hiddenUnits: [16], entropyCoef: 0 });
+const rows = 64;
+const obs = Float32Array.from({ length: rows * 4 }, (_, k) => Math.sin(k * 1.7));
+const before = trainer.evaluate(obs, rows);
+// Even rows took LEFT and it paid off, odd rows took RIGHT and it didn't
+const actions = Int32Array.from({ length: rows }, (_, r) => r % 2 === 0 ? 0 : 2);
+const update = {
+    obs,
+    actions,
+    logProbs: Float32Array.from(actions, (a, r) => Math.log(before.probs[r * 3 + a] + 1e-8)),
+    advantages: Float32Array.from(actions, a => a === 0 ? 1 : -1),
+    returns: new Float32Array(rows).fill(1)
+};
+const meanProb = (probs, action) => Array.from({ length: rows }, (_, r) => probs[r * 3 + action]).reduce((a, b) => a + b) / rows;
+const valueError = values => Array.from(values, v => (v - 1) ** 2).reduce((a, b) => a + b) / rows;
+const loss = await trainer.update(update);
+const after = trainer.evaluate(obs, rows);
+assert(Number.isFinite(loss), `update returns a finite mean loss (${loss.toFixed(4)})`);
+assert(meanProb(after.probs, 0) > meanProb(before.probs, 0) && meanProb(after.probs, 2) < meanProb(before.probs, 2),
+    `the advantaged action gains probability (LEFT ${meanProb(before.probs, 0).toFixed(3)} -> ${meanProb(after.probs, 0).toFixed(3)}, ` +
+    `RIGHT ${meanProb(before.probs, 2).toFixed(3)} -> ${meanProb(after.probs, 2).toFixed(3)})`);
+assert(valueError(after.values) < valueError(before.values), 'the critic moves toward the returns');
+
+// Summary
+console.log(`\n${'='.repeat(40)}`);
+console.log(`Passed: ${passed}, Failed: ${failed}`);
+process.exit(failed > 0 ? 1 : 0);
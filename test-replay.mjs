@@ -0,0 +1,152 @@
+/**
+ * Node.js test runner for the replay memory (replay-memory.mjs)
+ */
+
+import { RingBuffer, SumTree, PrioritizedReplayBuffer, NStepAccumulator } from './replay-memory.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+        passed++;
+    } else {
+        console.log(`✗ ${message}`);
+        failed++;
+    }
+}
+
+const close = (a, b, tol = 1e-9) => Math.abs(a - b) <= tol;
+
+console.log('=== Replay Memory Tests ===\n');
+
+// Test 1: RingBuffer caps its size and overwrites the oldest entry
+const ring = new RingBuffer(3);
+[1, 2, 3, 4].forEach(x => ring.push(x));
+assert(ring.length() === 3, `RingBuffer holds at most its size (got ${ring.length()})`);
+assert(ring.buffer.includes(4) && !ring.buffer.includes(1), 'RingBuffer overwrites the oldest item');
+let draws = 0;
+const drawn = new RingBuffer(3, { random: () => (draws++ % 3) / 3 });
+[1, 2, 3].forEach(x => drawn.push(x));
+assert(drawn.sample(4).join() === '1,2,3,1', 'RingBuffer samples with the random function it is given');
+
+// Test 2: SumTree keeps parent sums and finds leaves by prefix mass
+const tree = new SumTree(5);
+[1, 2, 3, 4, 0].forEach((p, i) => tree.update(i, p));
+assert(tree.total() === 10, `SumTree total is the sum of leaves (got ${tree.total()})`);
+assert(tree.find(0) === 0 && tree.find(0.99) === 0, 'mass in [0,1) maps to leaf 0');
+assert(tree.find(1) === 1 && tree.find(2.5) === 1, 'mass in [1,3) maps to leaf 1');
+assert(tree.find(6) === 3 && tree.find(9.99) === 3, 'mass in [6,10) maps to leaf 3');
+tree.update(1, 0);
+assert(tree.total() === 8 && tree.find(1.5) === 2, 'updating a leaf updates the sums');
+tree.rebuild([5, 5]);
+assert(tree.total() === 10 && tree.get(2) === 0, 'rebuild() replaces every leaf');
+
+// Test 3: prioritized sampling follows priority^alpha
+const per = new PrioritizedReplayBuffer(4, { alpha: 1 });
+['a', 'b', 'c', 'd'].forEach(x => per.push(x));
+per.updatePriorities([0, 1, 2, 3], [1, 1, 1, 7]);
+const counts = { a: 0, b: 0, c: 0, d: 0 };
+for (let i = 0; i < 2000; i++) {
+    per.sample(10).items.forEach(x => counts[x]++);
+}
+const shareD = counts.d / 20000;
+assert(shareD > 0.65 && shareD < 0.75, `item with 70% of the priority is sampled ~70% of the time (got ${shareD.toFixed(3)})`);
+
+// Test 4: importance-sampling weights undo the bias, normalized to max 1
+const { items, weights, indices } = per.sample(4, 1);
+assert(Math.max(...weights) === 1, 'IS weights are normalized so the largest is 1');
+const products = indices.map((index, i) => weights[i] * per.priorities[index]);
+assert(products.every(p => close(p, products[0], 1e-5)), 'beta=1 IS weights are inversely proportional to priority');
+assert(per.sample(4, 0).weights.every(w => w === 1), 'beta=0 gives uniform weights');
+
+// Test 5: new items get the max priority and the size cap holds
+per.push('e');
+assert(per.length() === 4, `prioritized buffer keeps the size cap (got ${per.length()})`);
+assert(per.buffer[0] === 'e' && close(per.priorities[0], 7 + 1e-6), 'new item overwrites the oldest slot with max priority');
+
+// Test 6: setAlpha re-weights stored priorities
+per.setAlpha(0);
+assert(close(per.tree.total(), 4), `alpha=0 makes sampling uniform (total ${per.tree.total()})`);
+
+// Test 7: n-step returns, truncation and game over
+const gamma = 0.5;
+const acc = new NStepAccumulator(3, gamma);
+const t = (i, reward, done = false) => ({ state: i, action: 0, reward, nextState: i + 1, done });
+assert(acc.push(t(0, 1)).length === 0 && acc.push(t(1, 2)).length === 0, 'nothing is emitted before n steps');
+const [first] = acc.push(t(2, 4));
+assert(first.state === 0 && first.nextState === 3, 'n-step transition spans s_t to s_t+n');
+assert(first.reward === 1 + 0.5 * 2 + 0.25 * 4 && first.discount === 0.125, `n-step return and gamma^n bootstrap (got ${first.reward}, ${first.discount})`);
+const flushed = acc.push(t(3, 8, true));
+assert(flushed.length === 3 && flushed.every(x => x.discount === 0 && x.nextState === 4), 'game over flushes the queue without bootstrap');
+assert(flushed[2].reward === 8 && flushed[0].reward === 2 + 0.5 * 4 + 0.25 * 8, 'flushed transitions sum the remaining rewards');
+const truncated = acc.push(t(10, 1), true);
+assert(truncated.length === 1 && truncated[0].discount === gamma, 'truncation flushes but still bootstraps');
+const oneStep = new NStepAccumulator(1, 0.99).push(t(0, 5));
+assert(oneStep.length === 1 && oneStep[0].reward === 5 && oneStep[0].discount === 0.99, 'n=1 is plain 1-step TD');
+const queued = new NStepAccumulator(3, gamma);
+const step = i => ({ state: Uint8Array.from([i, i + 1]), action: i % 3, reward: i * 0.7, nextState: Uint8Array.from([i + 1, i + 2]), done: false });
+queued.push(step(1));
+queued.push(step(2));
+const requeued = new NStepAccumulator(3, gamma);
+requeued.restore(JSON.parse(JSON.stringify(queued.serialize())), Uint8Array);
+const [fromQueued] = queued.push(step(3));
+const [fromRequeued] = requeued.push(step(3));
+assert(fromRequeued.state instanceof Uint8Array && fromRequeued.state.every((v, i) => v === fromQueued.state[i]) &&
+    fromRequeued.reward === fromQueued.reward && fromRequeued.action === fromQueued.action,
+    'a restored n-step queue emits the same transitions');
+
+// Test 8: binary snapshots restore transitions, slot order and priorities
+const transition = (i, ObsArray = Float32Array) => ({
+    state: ObsArray.from([i, i + 0.5, 2]),
+    action: i % 3,
+    reward: i * 1.1,
+    nextState: ObsArray.from([i + 1, 7, 9]),
+    discount: i % 2 ? 0 : 0.99
+});
+const sameTransition = (a, b) => a.action === b.action && a.reward === b.reward && a.discount === b.discount &&
+    a.state.constructor === b.state.constructor && a.state.every((v, i) => v === b.state[i]) &&
+    a.nextState.every((v, i) => v === b.nextState[i]);
+const saved = new RingBuffer(4);
+[0, 1, 2, 3, 4, 5].forEach(i => saved.push(transition(i)));
+const snapshot = saved.toBinary();
+const loaded = new RingBuffer(4);
+loaded.fromBinary(JSON.parse(JSON.stringify(snapshot.header)), snapshot.data);
+assert(loaded.length() === 4 && loaded.idx === saved.idx, 'snapshot keeps length and write position');
+assert(loaded.buffer.every((x, i) => sameTransition(x, saved.buffer[i])), 'snapshot restores every transition exactly');
+const bytes = new RingBuffer(2);
+[3, 4].forEach(i => bytes.push(transition(i, Uint8Array)));
+const byteSnapshot = bytes.toBinary();
+const bytesLoaded = new RingBuffer(2);
+bytesLoaded.fromBinary(byteSnapshot.header, byteSnapshot.data);
+assert(bytesLoaded.buffer.every((x, i) => sameTransition(x, bytes.buffer[i])), 'byte (pixel) observations stay bytes');
+let sizeError = null;
+try {
+    new RingBuffer(8).fromBinary(snapshot.header, snapshot.data);
+} catch (err) {
+    sizeError = err;
+}
+assert(sizeError !== null, 'a snapshot of a different-sized memory is refused');
+
+const perSaved = new PrioritizedReplayBuffer(4, { alpha: 0.5 });
+[0, 1, 2].forEach(i => perSaved.push(transition(i)));
+perSaved.updatePriorities([0, 1, 2], [3, 0.5, 9]);
+const perSnapshot = perSaved.toBinary();
+const perLoaded = new PrioritizedReplayBuffer(4, { alpha: 0.5 });
+perLoaded.fromBinary(perSnapshot.header, perSnapshot.data);
+assert([0, 1, 2, 3].every(i => perLoaded.priorities[i] === perSaved.priorities[i]) && perLoaded.maxPriority === perSaved.maxPriority,
+    'prioritized snapshot restores priorities');
+assert(close(perLoaded.tree.total(), perSaved.tree.total()), 'sum tree is rebuilt from the restored priorities');
+let perError = null;
+try {
+    new PrioritizedReplayBuffer(4).fromBinary(snapshot.header, snapshot.data);
+} catch (err) {
+    perError = err;
+}
+assert(perError !== null, 'prioritized memory refuses a snapshot without priorities');
+
+// Summary
+console.log(`\n${'='.repeat(40)}`);
+console.log(`Passed: ${passed}, Failed: ${failed}`);
+process.exit(failed > 0 ? 1 : 0);
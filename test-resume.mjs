@@ -0,0 +1,99 @@
+/**
+ * Tests that --resume from a full checkpoint is exact: training that stops
+ * and resumes ends on the same checkpoint, file for file, as training that
+ * never stopped. Runs train-cli.mjs, so it needs @tensorflow/tfjs-node and
+ * runs as npm run test:resume rather than in npm test.
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RUNS_DIR = path.join(__dirname, 'runs');
+const STEPS = 400;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+        passed++;
+    } else {
+        console.log(`✗ ${message}`);
+        failed++;
+    }
+}
+
+const runsExisted = fs.existsSync(RUNS_DIR);
+const created = [];
+
+// Train runs/<run> until maxTotalSteps env steps, then save and exit
+function train(run, maxTotalSteps, flags = []) {
+    created.push(run);
+    execFileSync(process.execPath, [
+        ...process.execArgv,
+        path.join(__dirname, 'train-cli.mjs'),
+        `--run=${run}`,
+        `--max-total-steps=${maxTotalSteps}`,
+        ...flags
+    ], { cwd: __dirname, stdio: 'pipe' });
+}
+
+function copyRun(from, to) {
+    created.push(to);
+    fs.cpSync(path.join(RUNS_DIR, from), path.join(RUNS_DIR, to), { recursive: true });
+}
+
+const fullCheckpoint = run => {
+    const dir = path.join(RUNS_DIR, run, 'model.full');
+    return {
+        checksums: JSON.parse(fs.readFileSync(path.join(dir, 'checksums.json'), 'utf-8')),
+        state: JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf-8'))
+    };
+};
+
+// From one full checkpoint, train straight on to 3 * STEPS, and separately
+// stop at 2 * STEPS and resume to 3 * STEPS. Every file of the two final
+// checkpoints (weights, optimizer, target network, replay memory, envs,
+// RNG) must match.
+function checkResume(name, flags) {
+    const prefix = `test-resume-${process.pid}-${name}`;
+    const common = ['--full-checkpoint', '--save-every=1000000', '--full-save-every=1000000', '--max-steps-per-episode=150', ...flags];
+    train(`${prefix}-start`, STEPS, ['--seed=1', ...common]);
+    copyRun(`${prefix}-start`, `${prefix}-straight`);
+    copyRun(`${prefix}-start`, `${prefix}-stopped`);
+    train(`${prefix}-straight`, 3 * STEPS, ['--resume']);
+    train(`${prefix}-stopped`, 2 * STEPS, ['--resume']);
+    train(`${prefix}-stopped`, 3 * STEPS, ['--resume']);
+
+    const straight = fullCheckpoint(`${prefix}-straight`);
+    const stopped = fullCheckpoint(`${prefix}-stopped`);
+    const files = Object.keys(straight.checksums);
+    const differing = files.filter(file => stopped.checksums[file] !== straight.checksums[file]);
+    assert(straight.state.totalSteps >= 3 * STEPS && straight.state.episode > 0,
+        `${name}: training ran on to ${straight.state.totalSteps} steps over ${straight.state.episode} episodes`);
+    assert(files.includes('training.json') && differing.length === 0,
+        `${name}: stopping and resuming ends on the same checkpoint as never stopping` +
+        (differing.length > 0 ? ` (${differing.join(', ')} differ)` : ''));
+}
+
+console.log('=== Resume Tests ===\n');
+
+try {
+    // Test 1: DQN with n-step returns, prioritized replay and two envs
+    checkResume('dqn', ['--envs=2', '--nstep=3', '--per', '--memory-size=2000', '--batch=32', '--train-every=2', '--target-update-freq=200']);
+
+    // Test 2: PPO, whose rollouts don't line up with the stopping point
+    checkResume('ppo', ['--algo=ppo', '--envs=2', '--ppo-steps=32', '--ppo-minibatch=32', '--ppo-epochs=2']);
+} finally {
+    for (const run of created) fs.rmSync(path.join(RUNS_DIR, run), { recursive: true, force: true });
+    if (!runsExisted) fs.rmSync(RUNS_DIR, { recursive: true, force: true });
+}
+
+// Summary
+console.log(`\n${'='.repeat(40)}`);
+console.log(`Passed: ${passed}, Failed: ${failed}`);
+process.exit(failed > 0 ? 1 : 0);
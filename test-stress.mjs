@@ -0,0 +1,234 @@
+/**
+ * Stress test and benchmark for env.js physics.
+ *
+ * Usage: node test-stress.mjs [--steps=1000000] [--seed=1] [--min-steps-per-sec=25000]
+ *
+ * Plays --steps steps in total over many short games, each with a random
+ * level set, difficulty, physics and power-up setting, driven by a mix of random
+ * moves and ball tracking (so games also reach fast, high-level balls).
+ * After every step it checks invariants that must hold whatever the
+ * actions: balls stay in the field and keep moving, the score never goes
+ * down, bricks never go below zero hits, lives only go up by catching a
+ * life capsule and observations stay finite. A failure prints the config,
+ * seed and step to replay it. Swept physics must also never leave a ball
+ * inside a brick, or stuck for STUCK_STEPS steps without touching the paddle
+ * or a breakable brick; legacy physics does both, and how often is shown.
+ *
+ * Then it measures steps/s per observation mode and physics, and fails if
+ * the vector env is slower than --min-steps-per-sec or another mode slower
+ * than its share of that (see BENCHMARKS). The default floor is several
+ * times below what one slow core manages, so only a real slowdown trips it;
+ * 0 turns the check off. npm test runs a short version.
+ */
+
+import { createEnv, PHYSICS_MODES } from './env.js';
+import { scoreReward } from './rewards.js';
+
+const args = process.argv.slice(2);
+const arg = (name, fallback) => Number(args.find(a => a.startsWith(`--${name}=`))?.split('=')[1] ?? fallback);
+const TOTAL_STEPS = arg('steps', 1000000);
+const BASE_SEED = arg('seed', 1);
+const MIN_STEPS_PER_SEC = arg('min-steps-per-sec', 25000);
+const GAME_STEPS = 20000;
+// Games run without stallLimit, so this is the physics alone. A ball drifting
+// slowly under indestructible bricks goes a few thousand steps without
+// progress; only a ball that is really stuck gets this far.
+const STUCK_STEPS = 10000;
+const WIDTH = 800;
+const HEIGHT = 600;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+        passed++;
+    } else {
+        console.log(`✗ ${message}`);
+        failed++;
+    }
+}
+
+// Mulberry32, as in env.js, so a run is reproducible from --seed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// A random env config within the ranges createEnv accepts
+function randomConfig(random, seed) {
+    const physics = pick(random, PHYSICS_MODES);
+    return {
+        seed,
+        physics,
+        substeps: physics === 'swept' ? pick(random, [1, 1, 2, 4]) : 1,
+        levels: pick(random, ['classic', 'arcade']),
+        powerups: random() < 0.5,
+        startLevel: 1 + Math.floor(random() * 12),
+        ballSpeed: 3 + random() * 5,
+        paddleWidth: pick(random, [60, 120, 200]),
+        paddleSpeed: pick(random, [4, 8, 14]),
+        lives: 1 + Math.floor(random() * 5),
+        brickRows: 1 + Math.floor(random() * 5)
+    };
+}
+
+const INVARIANTS = {
+    bounds: 'balls stay inside the field',
+    moving: 'balls always move vertically',
+    score: 'score never decreases',
+    hits: 'bricks never go below zero hits, and live breakable bricks have hits left',
+    lives: 'lives only increase by catching a life capsule',
+    finite: 'observations and rewards are finite'
+};
+const violations = Object.fromEntries(Object.keys(INVARIANTS).map(key => [key, { count: 0, first: null }]));
+// Artifacts of the legacy collision checks, per physics mode: a ball
+// touching several bricks in one step, a ball ending a step inside a brick,
+// and a ball stuck (typically inside an indestructible brick, re-bouncing
+// every step). Swept physics must have none of the last two.
+const anomalies = Object.fromEntries(PHYSICS_MODES.map(mode =>
+    [mode, { steps: 0, multiBrick: 0, ballInBrick: 0, stuck: 0, firstStuck: null, longestStall: 0 }]));
+
+function violate(key, detail) {
+    const v = violations[key];
+    v.count++;
+    if (!v.first) v.first = detail;
+}
+
+// Circle inside a box, by more than rounding error
+function overlaps(b, box) {
+    const nearestX = Math.max(box.x, Math.min(box.x + box.width, b.x));
+    const nearestY = Math.max(box.y, Math.min(box.y + box.height, b.y));
+    return Math.hypot(b.x - nearestX, b.y - nearestY) < b.radius - 1e-6;
+}
+
+// Play one game of up to GAME_STEPS steps, checking every invariant after
+// every step. Returns the number of steps played.
+function stressGame(config, random, budget) {
+    // The reward function is the one place that sees each step's events
+    let events = null;
+    const env = createEnv({ ...config, reward: (prev, next, e) => { events = e; return scoreReward(prev, next, e); } });
+    env.reset();
+    env.launch();
+    const exploration = random();
+    const counts = anomalies[config.physics];
+    let prev = env.getState();
+    let sinceProgress = 0;
+
+    const steps = Math.min(GAME_STEPS, budget);
+    for (let t = 0; t < steps; t++) {
+        const where = () => ({ config, step: t });
+        const ballX = prev.balls[0].x;
+        const paddleCenter = prev.paddle.x + prev.paddle.width / 2;
+        const action = random() < exploration ? Math.floor(random() * 3)
+            : Math.abs(ballX - paddleCenter) < prev.paddle.speed ? 1 : ballX < paddleCenter ? 0 : 2;
+        const result = env.step(action);
+        const state = env.getState();
+
+        if (!Number.isFinite(result.reward) || !result.obs.every(Number.isFinite)) violate('finite', where());
+        if (state.score < prev.score) violate('score', { ...where(), before: prev.score, after: state.score });
+        if (state.bricks.some(b => b.hits < 0 || (b.alive && !b.indestructible && b.hits === 0))) violate('hits', where());
+        if (state.lives > prev.lives && !result.info.powerupsCollected?.includes('life')) {
+            violate('lives', { ...where(), before: prev.lives, after: state.lives });
+        }
+        if (result.terminated) return t + 1;
+
+        for (const b of state.balls) {
+            if (b.x < b.radius || b.x > WIDTH - b.radius || b.y < b.radius || b.y >= HEIGHT + b.radius) {
+                violate('bounds', { ...where(), ball: b });
+            }
+            if (state.ballLaunched && b.dy === 0) violate('moving', { ...where(), ball: b });
+            if (state.bricks.some(brick => brick.alive && overlaps(b, brick))) counts.ballInBrick++;
+        }
+
+        const breakableTouched = [...events.bricksHit, ...events.bricksDestroyed].filter(b => !b.indestructible).length;
+        if (state.balls.length === 1 && events.bricksHit.length + events.bricksDestroyed.length > 1) counts.multiBrick++;
+        counts.steps++;
+        const progress = events.paddleHits > 0 || breakableTouched > 0 || events.lifeLost || events.levelCleared;
+        sinceProgress = progress || !state.ballLaunched ? 0 : sinceProgress + 1;
+        counts.longestStall = Math.max(counts.longestStall, sinceProgress);
+        if (sinceProgress === STUCK_STEPS) {
+            counts.stuck++;
+            counts.firstStuck ??= { ...where(), ball: state.balls[0] };
+        }
+
+        prev = state;
+    }
+    return steps;
+}
+
+console.log('=== env.js Stress Test ===\n');
+
+const random = createRandom(BASE_SEED);
+let played = 0;
+let games = 0;
+const started = performance.now();
+while (played < TOTAL_STEPS) {
+    const config = randomConfig(random, BASE_SEED * 100000 + games);
+    played += stressGame(config, random, TOTAL_STEPS - played);
+    games++;
+}
+console.log(`${played} steps over ${games} games in ${((performance.now() - started) / 1000).toFixed(1)}s\n`);
+
+for (const [key, message] of Object.entries(INVARIANTS)) {
+    const { count, first } = violations[key];
+    assert(count === 0, count === 0 ? message : `${message}: ${count} violations, first ${JSON.stringify(first)}`);
+}
+console.log('');
+for (const [mode, { steps, multiBrick, ballInBrick, stuck, longestStall }] of Object.entries(anomalies)) {
+    const perMillion = count => (count / steps * 1e6).toFixed(0);
+    console.log(`${mode} physics, per million steps: ${perMillion(multiBrick)} multi-brick hits, ${perMillion(ballInBrick)} balls left inside a brick, ` +
+        `${stuck} balls stuck (longest stretch without progress ${longestStall} steps)`);
+}
+assert(anomalies.swept.ballInBrick === 0, 'swept physics never leaves a ball inside a brick');
+const { stuck, firstStuck } = anomalies.swept;
+assert(stuck === 0, `swept physics never leaves a ball ${STUCK_STEPS} steps without touching the paddle or a breakable brick` +
+    (stuck > 0 ? `: ${stuck} balls, first ${JSON.stringify(firstStuck)}` : ''));
+
+// Benchmark: plain env steps, as the trainer runs them
+console.log('\n=== Benchmark ===\n');
+function benchmark(config, steps) {
+    const env = createEnv({ ...config, seed: BASE_SEED });
+    env.reset();
+    env.launch();
+    const start = performance.now();
+    for (let t = 0; t < steps; t++) {
+        if (env.step(t % 7 < 3 ? 0 : 2).terminated) {
+            env.reset();
+            env.launch();
+        }
+    }
+    return steps / ((performance.now() - start) / 1000);
+}
+// Each mode's config, steps to time, and share of the vector env's speed it
+// must reach (a little under what it measures at)
+const BENCHMARKS = {
+    vector: [{ obsMode: 'vector' }, 200000, 1],
+    'vector, swept': [{ obsMode: 'vector', physics: 'swept' }, 200000, 0.8],
+    'vector + power-ups': [{ obsMode: 'vector', powerups: true }, 200000, 0.6],
+    grid: [{ obsMode: 'grid' }, 100000, 0.6],
+    pixels: [{ obsMode: 'pixels', frameStack: 4 }, 10000, 0.03]
+};
+const rates = Object.fromEntries(Object.entries(BENCHMARKS).map(([name, [config, steps]]) => [name, benchmark(config, steps)]));
+for (const [name, rate] of Object.entries(rates)) console.log(`${name.padEnd(20)} ${rate.toFixed(0).padStart(8)} steps/s`);
+if (MIN_STEPS_PER_SEC > 0) {
+    console.log('');
+    for (const [name, [, , share]] of Object.entries(BENCHMARKS)) {
+        const floor = MIN_STEPS_PER_SEC * share;
+        assert(rates[name] >= floor, `${name} env runs at least ${floor.toFixed(0)} steps/s (${rates[name].toFixed(0)})`);
+    }
+}
+
+// Summary
+console.log(`\n${'='.repeat(40)}`);
+console.log(`Passed: ${passed}, Failed: ${failed}`);
+process.exit(failed > 0 ? 1 : 0);
@@ -1,79 +1,232 @@
 import * as tf from '@tensorflow/tfjs-node';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createEnv } from './env.js';
+import { Worker } from 'worker_threads';
+import { createEnv, createRng } from './env.js';
+import { createVecEnv } from './vec-env.js';
+import { createModel, selectActions, exportWeights, clipByGlobalNorm, NUM_ACTIONS } from './model.mjs';
+import { RingBuffer, PrioritizedReplayBuffer, NStepAccumulator } from './replay-memory.mjs';
+import { PPOTrainer } from './ppo.mjs';
+import { loadConfig, checkRunName, DEFAULTS } from './config.mjs';
+import { evaluate } from './evaluate.mjs';
+import { loadDemonstrations, behaviorClone } from './demonstrations.mjs';
+import { exportAgent } from './export-agent.mjs';
+import { resolveCurriculum, stageOptions, describeStage } from './curriculum.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const MODEL_DIR = path.join(__dirname, 'model');
-const BACKUP_DIR = path.join(__dirname, 'model.backup');
-const BEST_DIR = path.join(__dirname, 'model.best');
-const LOG_FILE = path.join(__dirname, 'train-log.csv');
-
-// Parse CLI args
 const args = process.argv.slice(2);
-const config = {
-    resume: args.includes('--resume'),
-    lr: parseFloat(args.find(a => a.startsWith('--lr='))?.split('=')[1] || '0.001'),
-    batchSize: parseInt(args.find(a => a.startsWith('--batch='))?.split('=')[1] || '64'),
-    gamma: parseFloat(args.find(a => a.startsWith('--gamma='))?.split('=')[1] || '0.99'),
+
+// --run=name keeps everything an experiment writes under runs/<name>/, so
+// several runs can train side by side; without it the old top-level paths are used
+const RUN_NAME = args.find(a => a.startsWith('--run='))?.split('=')[1] || null;
+try {
+    if (RUN_NAME) checkRunName(RUN_NAME);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+const RUN_DIR = RUN_NAME ? path.join(__dirname, 'runs', RUN_NAME) : __dirname;
+const RUN_CONFIG = path.join(RUN_DIR, 'config.json');
+const MODEL_DIR = path.join(RUN_DIR, 'model');
+const BACKUP_DIR = path.join(RUN_DIR, 'model.backup');
+const BEST_DIR = path.join(RUN_DIR, 'model.best');
+// Full checkpoints (--full-checkpoint) go here on their own, slower cadence
+const FULL_DIR = path.join(RUN_DIR, 'model.full');
+const LOG_FILE = path.join(RUN_DIR, 'train-log.csv');
+const RECORDINGS_DIR = path.join(RUN_DIR, 'recordings');
+const LOG_HEADER = 'episode,reward,avg100,best_avg,epsilon,steps_per_sec,loss,memory_usage,elapsed_sec,actor_steps_per_sec,stage';
+
+// Defaults < --config file < flags. Resuming a named run starts from the
+// config it was frozen with instead of the defaults.
+let config, resume, CURRICULUM;
+try {
+    const frozen = RUN_NAME && args.includes('--resume') && fs.existsSync(RUN_CONFIG)
+        ? JSON.parse(fs.readFileSync(RUN_CONFIG, 'utf-8'))
+        : {};
+    ({ config, resume } = loadConfig(args, frozen));
+    CURRICULUM = resolveCurriculum(config.curriculum);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+if (!['dqn', 'ppo'].includes(config.algo)) {
+    console.error(`Unknown --algo=${config.algo} (expected dqn or ppo)`);
+    process.exit(1);
+}
+if (!['mse', 'huber'].includes(config.loss)) {
+    console.error(`Unknown --loss=${config.loss} (expected mse or huber)`);
+    process.exit(1);
+}
+if (config.algo === 'ppo' && config.numActors > 0) {
+    console.error('--actors is only supported with --algo=dqn');
+    process.exit(1);
+}
+if (RUN_NAME && !resume && fs.existsSync(RUN_DIR)) {
+    console.error(`Run "${RUN_NAME}" already exists; pass --resume to continue it or pick another --run name`);
+    process.exit(1);
+}
+
+// Algorithm variant, saved with the checkpoint: --resume refuses to continue
+// a checkpoint trained with a different algorithm, network, targets, heads, loss or returns
+const ALGO = config.algo;
+const VARIANT = ALGO === 'ppo' ? { algo: 'ppo', hiddenUnits: config.hiddenUnits } : {
+    algo: 'dqn',
+    hiddenUnits: config.hiddenUnits,
+    double: config.double,
+    dueling: config.dueling,
+    loss: config.loss,
+    clipNorm: config.clipNorm,
+    nStep: config.nStep
 };
+const DEFAULT_VARIANT = { algo: 'dqn', hiddenUnits: null, double: false, dueling: false, loss: 'mse', clipNorm: 0, nStep: 1 };
 
-const OBS_SIZE = 13;
-const NUM_ACTIONS = 3;
-const MEMORY_SIZE = 50000;
+// The env settings (observation, levels, power-ups, reward, difficulty,
+// physics) are saved with the checkpoint so eval/viewer can rebuild the same
+// env. A levels file is inlined, so the checkpoint doesn't depend on it
+// staying around. A curriculum only changes
+// the training envs: evaluation and the saved settings are this full game.
+const LEVELS = typeof config.levels === 'string' && config.levels.endsWith('.json') ? JSON.parse(fs.readFileSync(config.levels, 'utf-8')) : config.levels;
+const ENV_CONFIG = {
+    obsMode: config.obsMode,
+    frameStack: config.frameStack,
+    levels: LEVELS,
+    powerups: config.powerups,
+    reward: config.reward,
+    startLevel: config.startLevel,
+    ballSpeed: config.ballSpeed,
+    paddleWidth: config.paddleWidth,
+    paddleSpeed: config.paddleSpeed,
+    lives: config.lives,
+    brickRows: config.brickRows,
+    physics: config.physics,
+    substeps: config.substeps,
+    stallLimit: config.stallLimit
+};
+const OBS_SHAPE = createEnv(ENV_CONFIG).obsShape;
+const IS_PIXELS = OBS_SHAPE.length === 3;
+const MEMORY_SIZE = config.memorySize;
 const BATCH_SIZE = config.batchSize;
 const GAMMA = config.gamma;
 const LEARNING_RATE = config.lr;
-const EPSILON_START = 1.0;
-const EPSILON_END = 0.01;
-const EPSILON_DECAY = 0.9995;
-const TARGET_UPDATE_FREQ = 1000;
-const MAX_STEPS_PER_EPISODE = 10000;
-
-// Ring buffer for experience replay
-class RingBuffer {
-    constructor(size) {
-        this.size = size;
-        this.buffer = [];
-        this.idx = 0;
-    }
-    
-    push(item) {
-        if (this.buffer.length < this.size) {
-            this.buffer.push(item);
-        } else {
-            this.buffer[this.idx] = item;
-        }
-        this.idx = (this.idx + 1) % this.size;
-    }
-    
-    sample(count) {
-        const batch = [];
-        for (let i = 0; i < count; i++) {
-            batch.push(this.buffer[Math.floor(Math.random() * this.buffer.length)]);
-        }
-        return batch;
-    }
-    
-    length() {
-        return this.buffer.length;
+const EPSILON_START = config.epsilonStart;
+const EPSILON_END = config.epsilonEnd;
+const EPSILON_DECAY = config.epsilonDecay;
+const TARGET_UPDATE_FREQ = config.targetUpdateFreq;
+const MAX_STEPS_PER_EPISODE = config.maxStepsPerEpisode;
+const NUM_ENVS = config.numEnvs;
+const TRAIN_EVERY = config.trainEvery;
+const PER_ALPHA_START = config.perAlpha;
+const PER_ALPHA_END = config.perAlphaEnd ?? config.perAlpha;
+const PER_BETA_START = config.perBeta;
+const PER_BETA_END = config.perBetaEnd;
+const PER_ANNEAL_STEPS = config.perAnnealSteps;
+const NUM_ACTORS = config.numActors;
+const ACTOR_STEPS_PER_MESSAGE = config.actorStepsPerMessage;
+const WEIGHT_SYNC_FREQ = config.weightSyncFreq;
+const SAVE_EVERY = config.saveEvery;
+const FULL_SAVE_EVERY = config.fullSaveEvery;
+const AVG_WINDOW = config.avgWindow;
+const EVAL_EPISODES = config.evalEpisodes;
+const EVAL_EVERY = config.evalEvery;
+// Passed to every VecEnv; with actors, each one records its own every Nth episode
+const RECORD = config.recordEvery > 0
+    ? { every: config.recordEvery, obs: config.recordObs, info: config.recordInfo }
+    : null;
+
+// Ape-X exploration schedule: actor i uses base^(1 + alpha*i/(K-1)) (0.4 and 7
+// by default), so a few actors explore heavily while the rest stay close to greedy
+const ACTOR_EPSILONS = Array.from({ length: NUM_ACTORS }, (_, i) =>
+    Math.pow(config.apexEpsilonBase, 1 + (NUM_ACTORS > 1 ? config.apexEpsilonAlpha * i / (NUM_ACTORS - 1) : 0)));
+
+// Every random draw the trainer makes (exploration, replay and PPO sampling,
+// env seeds) comes from this one stream. Full checkpoints save its state.
+const rng = createRng(config.seed ?? Math.floor(Math.random() * 4294967296));
+const random = () => rng.next();
+
+// Pixel observations are stored as bytes in replay memory (4x smaller)
+const OBS_ARRAY = IS_PIXELS ? Uint8Array : Float32Array;
+function storeObs(obs) {
+    return IS_PIXELS ? Uint8Array.from(obs, v => Math.round(v * 255)) : obs;
+}
+
+// Stack observations into a single [batch, ...OBS_SHAPE] tensor
+function toBatchTensor(observations) {
+    const size = observations[0].length;
+    const data = new Float32Array(observations.length * size);
+    observations.forEach((o, i) => data.set(o, i * size));
+    if (observations[0] instanceof Uint8Array) {
+        for (let i = 0; i < data.length; i++) data[i] /= 255;
     }
+    return tf.tensor(data, [observations.length, ...OBS_SHAPE]);
 }
 
 let qNetwork, targetNetwork;
-let memory = new RingBuffer(MEMORY_SIZE);
+let ppo = null;
+let memory = config.per
+    ? new PrioritizedReplayBuffer(MEMORY_SIZE, { alpha: PER_ALPHA_START, random })
+    : new RingBuffer(MEMORY_SIZE, { random });
+let nStepAccumulators = [];
+// The local and PPO loops' VecEnv and the curriculum stage it plays, and
+// the envs a full checkpoint saved, until the loop picks them up
+let trainingEnvs = null;
+let resumedEnvs = null;
 let epsilon = EPSILON_START;
 let totalSteps = 0;
+let vecSteps = 0;
 let episode = 0;
 let running = true;
 let rewardHistory = [];
+// The same episodes in the game's own reward (rawReward, whatever --reward
+// is), which curriculum thresholds are in
+let rawRewardHistory = [];
 let lossHistory = [];
 let bestAvgReward = -Infinity;
+let bestEvalScore = -Infinity;
+let lastEvalScore = null;
 let lastSaveStep = 0;
+let lastFullSaveStep = 0;
+let lastEvalStep = 0;
+let startTime = 0;
+let lastUpdateTime = 0;
+let lastUpdateSteps = 0;
+let actorSteps = new Array(NUM_ACTORS).fill(0);
+let lastActorSteps = new Array(NUM_ACTORS).fill(0);
+let stage = 0;
+let stageStartEpisode = 0;
+
+// Env config of the training envs: the run's, made easier by the current
+// curriculum stage
+function trainingEnvConfig() {
+    return CURRICULUM ? { ...ENV_CONFIG, ...stageOptions(CURRICULUM[stage]) } : ENV_CONFIG;
+}
+
+// Start the training envs: fresh ones seeded from the trainer's RNG, or
+// after --resume the ones a full checkpoint saved, if they were playing this
+// curriculum stage. Returns the stacked observation to act on.
+function startTrainingEnvs() {
+    const envConfig = { ...trainingEnvConfig(), maxSteps: MAX_STEPS_PER_EPISODE, record: RECORD };
+    const saved = resumedEnvs?.stage === stage && resumedEnvs.vecEnv.envs.length === NUM_ENVS ? resumedEnvs : null;
+    resumedEnvs = null;
+    const vecEnv = createVecEnv(NUM_ENVS, saved ? envConfig : { ...envConfig, seed: Math.floor(random() * 4294967296) });
+    trainingEnvs = { vecEnv, stage };
+    nStepAccumulators = Array.from({ length: NUM_ENVS }, (_, i) => {
+        const accumulator = new NStepAccumulator(VARIANT.nStep, GAMMA);
+        if (saved?.nStep) accumulator.restore(saved.nStep[i], OBS_ARRAY);
+        return accumulator;
+    });
+    return saved ? vecEnv.restore(saved.vecEnv) : vecEnv.reset();
+}
+
+// Training runs until Ctrl+C, or until --max-total-steps
+function keepTraining() {
+    return running && !(config.maxTotalSteps > 0 && totalSteps >= config.maxTotalSteps);
+}
 
 // Save checkpoint with backup
-async function saveCheckpoint(dir, isBest = false) {
+async function saveCheckpoint(dir) {
     const tempDir = dir + '.tmp';
 
     // Remove temp dir if exists from failed save
@@ -81,16 +234,26 @@ async function saveCheckpoint(dir, isBest = false) {
         fs.rmSync(tempDir, { recursive: true });
     }
 
-    // Save to temp directory first
-    await qNetwork.save(`file://${tempDir}`);
+    // Save to temp directory first. For PPO the policy takes the Q-network's
+    // place (argmax over logits) and the value network goes in critic/
+    if (ppo) {
+        await ppo.policy.save(`file://${tempDir}`);
+        await ppo.critic.save(`file://${path.join(tempDir, 'critic')}`);
+    } else {
+        await qNetwork.save(`file://${tempDir}`);
+    }
 
-    // Save training state
-    const state = { epsilon, totalSteps, episode, bestAvgReward };
+    // Save training state; gamma lets the viewer compare value estimates with returns
+    const state = { epsilon, totalSteps, episode, bestAvgReward, bestEvalScore, gamma: GAMMA, env: ENV_CONFIG, variant: VARIANT };
+    if (CURRICULUM) state.curriculum = { stage, stageStartEpisode };
     fs.writeFileSync(path.join(tempDir, 'state.json'), JSON.stringify(state, null, 2));
+    if (dir === FULL_DIR) await saveTrainingState(tempDir);
+    writeChecksums(tempDir);
 
     // Atomic swap: backup old, rename temp to target
+    const hadAgent = fs.existsSync(path.join(dir, 'agent.js'));
     if (fs.existsSync(dir)) {
-        if (!isBest) {
+        if (dir === MODEL_DIR) {
             // For regular saves, keep one backup
             if (fs.existsSync(BACKUP_DIR)) {
                 fs.rmSync(BACKUP_DIR, { recursive: true });
@@ -101,161 +264,396 @@ async function saveCheckpoint(dir, isBest = false) {
         }
     }
     fs.renameSync(tempDir, dir);
+
+    // A checkpoint exported with npm run export keeps a standalone agent.js
+    // (watch.html's offline fallback), re-exported from the new weights
+    if (hadAgent) {
+        try {
+            fs.writeFileSync(path.join(dir, 'agent.js'), exportAgent(dir));
+        } catch (err) {
+            console.warn(`Could not re-export ${path.basename(dir)}/agent.js: ${err.message}`);
+        }
+    }
+}
+
+// Full checkpoints (--full-checkpoint) also hold what training itself
+// depends on: the target network, the optimizer's moments, replay memory
+// (see RingBuffer.toBinary) and the recent reward/loss history, so --resume
+// doesn't start over with an empty memory and a cold optimizer. Replay
+// memory makes them large, hence model.full/ and --full-save-every.
+// The training envs mid-episode, their n-step queues and the trainer's RNG
+// are saved too, so a resumed run continues exactly as an uninterrupted one
+// would (except with --actors, whose envs live in the workers).
+async function saveTrainingState(dir) {
+    const optimizer = ppo ? ppo.optimizer : qNetwork.optimizer;
+    const optimizerWeights = await optimizer.getWeights();
+    const { data, specs } = await tf.io.encodeWeights(optimizerWeights);
+    tf.dispose(optimizerWeights[0].tensor); // the iteration count, created by getWeights()
+    fs.writeFileSync(path.join(dir, 'optimizer.bin'), Buffer.from(data));
+
+    const training = {
+        optimizer: specs,
+        vecSteps,
+        lastEvalScore,
+        rewardHistory: rewardHistory.slice(-AVG_WINDOW),
+        rawRewardHistory: rawRewardHistory.slice(-AVG_WINDOW),
+        lossHistory: lossHistory.slice(-20),
+        rng: rng.getState()
+    };
+    // Adam's bias corrections are running products that setWeights()
+    // recomputes with pow(), which rounds differently; keep the exact ones
+    if (optimizer.accBeta1) {
+        training.adam = { accBeta1: optimizer.accBeta1.dataSync()[0], accBeta2: optimizer.accBeta2.dataSync()[0] };
+    }
+    if (trainingEnvs) {
+        training.envs = { stage: trainingEnvs.stage, vecEnv: trainingEnvs.vecEnv.serialize() };
+        if (!ppo) training.envs.nStep = nStepAccumulators.map(a => a.serialize());
+    }
+    if (!ppo) {
+        await targetNetwork.save(`file://${path.join(dir, 'target')}`);
+        const replay = memory.toBinary();
+        fs.writeFileSync(path.join(dir, 'replay.bin'), replay.data);
+        training.replay = replay.header;
+    }
+    fs.writeFileSync(path.join(dir, 'training.json'), JSON.stringify(training));
 }
 
-// Load checkpoint if exists
+// Read a full checkpoint's training state; the target network and optimizer
+// tensors go in models and tensors for the caller to dispose
+async function readTrainingState(dir, models, tensors) {
+    const training = JSON.parse(fs.readFileSync(path.join(dir, 'training.json'), 'utf-8'));
+    const bytes = fs.readFileSync(path.join(dir, 'optimizer.bin'));
+    const named = tf.io.decodeWeights(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), training.optimizer);
+    tensors.push(...Object.values(named));
+    const loaded = { training, optimizerWeights: training.optimizer.map(({ name }) => ({ name, tensor: named[name] })) };
+    if (!ppo) {
+        loaded.target = await tf.loadLayersModel(`file://${path.join(dir, 'target', 'model.json')}`);
+        models.push(loaded.target);
+        loaded.replay = fs.readFileSync(path.join(dir, 'replay.bin'));
+    }
+    return loaded;
+}
+
+async function restoreTrainingState({ training, optimizerWeights, target, replay }) {
+    const optimizer = ppo ? ppo.optimizer : qNetwork.optimizer;
+    await optimizer.setWeights(optimizerWeights);
+    if (training.adam && optimizer.accBeta1) {
+        tf.tidy(() => {
+            optimizer.accBeta1.assign(tf.scalar(training.adam.accBeta1));
+            optimizer.accBeta2.assign(tf.scalar(training.adam.accBeta2));
+        });
+    }
+
+    if (!ppo) {
+        targetNetwork.setWeights(target.getWeights());
+        // A replay memory saved with another --memory-size or without --per
+        // doesn't fit this run; that's a changed setting, not a bad checkpoint
+        try {
+            memory.fromBinary(training.replay, replay);
+        } catch (err) {
+            console.warn(`  Replay memory not restored: ${err.message}`);
+        }
+    }
+
+    vecSteps = training.vecSteps;
+    lastEvalScore = training.lastEvalScore;
+    rewardHistory = training.rewardHistory;
+    rawRewardHistory = training.rawRewardHistory || [];
+    lossHistory = training.lossHistory;
+    if (training.rng !== undefined) rng.setState(training.rng);
+    resumedEnvs = training.envs || null;
+    console.log(`  Restored optimizer, ${ppo ? '' : `target network, replay memory ${memory.length()}/${MEMORY_SIZE}, `}last ${rewardHistory.length} episode rewards`);
+}
+
+const sha256 = file => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+function listFiles(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+        ? listFiles(path.join(dir, entry.name), path.join(prefix, entry.name))
+        : [path.join(prefix, entry.name)]);
+}
+
+// checksums.json is written last, so a checkpoint cut short or damaged on
+// disk is caught on --resume instead of loading garbage weights
+function writeChecksums(dir) {
+    const checksums = Object.fromEntries(listFiles(dir).map(file => [file, sha256(path.join(dir, file))]));
+    fs.writeFileSync(path.join(dir, 'checksums.json'), JSON.stringify(checksums, null, 2));
+}
+
+// What's wrong with a checkpoint, or null if it checks out. Checkpoints
+// saved before checksums were added can only be checked for state.json
+function checkpointProblem(dir) {
+    const checksumsPath = path.join(dir, 'checksums.json');
+    try {
+        if (fs.existsSync(checksumsPath)) {
+            const checksums = JSON.parse(fs.readFileSync(checksumsPath, 'utf-8'));
+            for (const [file, hash] of Object.entries(checksums)) {
+                if (!fs.existsSync(path.join(dir, file))) return `${file} is missing`;
+                if (sha256(path.join(dir, file)) !== hash) return `${file} fails its checksum`;
+            }
+        }
+        const statePath = path.join(dir, 'state.json');
+        if (fs.existsSync(statePath)) JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    } catch (err) {
+        return err.message;
+    }
+    return null;
+}
+
+// Resume from model/, or from model.backup/ when model/ is missing, damaged
+// or fails to load (a crash between the two renames in saveCheckpoint).
+// With --full-checkpoint, model.full/ comes first: it may be older than
+// model/, but training continues from it exactly. Training only starts
+// fresh when none loads.
 async function loadCheckpoint() {
-    const modelPath = path.join(MODEL_DIR, 'model.json');
-    const statePath = path.join(MODEL_DIR, 'state.json');
+    const dirs = config.fullCheckpoint ? [FULL_DIR, MODEL_DIR, BACKUP_DIR] : [MODEL_DIR, BACKUP_DIR];
+    for (const dir of dirs) {
+        const name = path.relative(__dirname, dir);
+        if (!fs.existsSync(path.join(dir, 'model.json'))) continue;
+        const problem = checkpointProblem(dir);
+        if (problem) {
+            console.warn(`Checkpoint ${name}/ is damaged (${problem}), skipping it`);
+            continue;
+        }
+        // checkpointProblem has already parsed state.json. A checkpoint for a
+        // different env or variant is refused outright rather than skipped.
+        const statePath = path.join(dir, 'state.json');
+        const savedState = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf-8')) : null;
+        checkCompatible(savedState || {});
+        try {
+            await restoreCheckpoint(dir, savedState);
+        } catch (err) {
+            console.warn(`Checkpoint ${name}/ failed to load (${err.message}), skipping it`);
+            continue;
+        }
+        if (dir !== MODEL_DIR) console.log(`  (from ${name}/)`);
+        console.log('');
+        return true;
+    }
+    console.log('No usable checkpoint found, starting fresh.\n');
+    return false;
+}
+
+// Refuse checkpoints trained on a different observation layout or variant
+// rather than silently starting fresh and overwriting them
+function checkCompatible(savedState) {
+    const savedEnv = { obsMode: 'vector', frameStack: 1, powerups: false, ...savedState.env };
+    if (savedEnv.obsMode !== ENV_CONFIG.obsMode || savedEnv.frameStack !== ENV_CONFIG.frameStack ||
+        savedEnv.powerups !== ENV_CONFIG.powerups) {
+        const flags = env => `--obs=${env.obsMode} --frames=${env.frameStack}${env.powerups ? ' --powerups' : ''}`;
+        throw new Error(`Checkpoint uses ${flags(savedEnv)}, but this run uses ${flags(ENV_CONFIG)}`);
+    }
+    const savedVariant = { ...DEFAULT_VARIANT, ...savedState.variant };
+    const mismatched = Object.keys(VARIANT).filter(key => JSON.stringify(savedVariant[key]) !== JSON.stringify(VARIANT[key]));
+    if (mismatched.length > 0) {
+        throw new Error('Checkpoint was trained with a different algorithm variant: ' +
+            mismatched.map(key => `${key}=${savedVariant[key]} (this run: ${VARIANT[key]})`).join(', '));
+    }
 
-    if (!fs.existsSync(modelPath)) {
-        console.log('No saved model found, starting fresh.\n');
-        return false;
+    // The rest of the env (reward, levels, difficulty, physics) fits the same
+    // network, but changing it means the run no longer continues the
+    // experiment it was checkpointed in. Settings older checkpoints didn't
+    // record were at their defaults.
+    const recorded = { ...Object.fromEntries(Object.keys(ENV_CONFIG).map(key => [key, DEFAULTS[key]])), ...savedState.env };
+    const describe = value => Array.isArray(value) ? `${value.length} custom levels` : value;
+    const changed = Object.keys(ENV_CONFIG).filter(key => JSON.stringify(recorded[key]) !== JSON.stringify(ENV_CONFIG[key]));
+    if (changed.length > 0) {
+        console.warn('Warning: checkpoint was trained on a different env: ' +
+            changed.map(key => `${key}=${describe(recorded[key])} (this run: ${describe(ENV_CONFIG[key])})`).join(', '));
     }
+}
 
+// Everything is read from disk before the networks or counters are touched,
+// so a checkpoint that fails half-way leaves nothing behind for the backup
+// (or a fresh start) to trip over
+async function restoreCheckpoint(dir, savedState) {
+    const models = [];
+    const tensors = [];
     try {
-        // Load model weights
-        const loadedModel = await tf.loadLayersModel(`file://${modelPath}`);
-        qNetwork.setWeights(loadedModel.getWeights());
-        copyWeights(qNetwork, targetNetwork);
-        loadedModel.dispose();
-
-        // Load training state
-        if (fs.existsSync(statePath)) {
-            const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
-            epsilon = state.epsilon;
-            totalSteps = state.totalSteps;
-            episode = state.episode;
-            bestAvgReward = state.bestAvgReward ?? -Infinity;
+        const loadedModel = await tf.loadLayersModel(`file://${path.join(dir, 'model.json')}`);
+        models.push(loadedModel);
+        const loadedCritic = ppo ? await tf.loadLayersModel(`file://${path.join(dir, 'critic', 'model.json')}`) : null;
+        if (loadedCritic) models.push(loadedCritic);
+        const training = fs.existsSync(path.join(dir, 'training.json')) ? await readTrainingState(dir, models, tensors) : null;
+
+        if (ppo) {
+            ppo.policy.setWeights(loadedModel.getWeights());
+            ppo.critic.setWeights(loadedCritic.getWeights());
+        } else {
+            qNetwork.setWeights(loadedModel.getWeights());
+            copyWeights(qNetwork, targetNetwork);
+        }
+
+        if (savedState) {
+            epsilon = savedState.epsilon;
+            totalSteps = savedState.totalSteps;
+            episode = savedState.episode;
+            bestAvgReward = savedState.bestAvgReward ?? -Infinity;
+            bestEvalScore = savedState.bestEvalScore ?? -Infinity;
             lastSaveStep = totalSteps;
+            lastFullSaveStep = totalSteps;
+            lastEvalStep = totalSteps;
+            if (CURRICULUM && savedState.curriculum) {
+                stage = Math.min(savedState.curriculum.stage, CURRICULUM.length - 1);
+                stageStartEpisode = savedState.curriculum.stageStartEpisode;
+            }
         }
+        const optimizer = ppo ? ppo.optimizer : qNetwork.optimizer;
+        optimizer.learningRate = learningRateAt(episode);
 
         console.log(`Resumed from checkpoint:`);
-        console.log(`  Episode: ${episode}, Steps: ${totalSteps}, Epsilon: ${epsilon.toFixed(4)}, Best Avg: ${bestAvgReward.toFixed(1)}\n`);
-        return true;
-    } catch (err) {
-        console.error('Failed to load checkpoint:', err.message);
-        console.log('Starting fresh.\n');
-        return false;
+        console.log(`  Episode: ${episode}, Steps: ${totalSteps}, Epsilon: ${epsilon.toFixed(4)}, Best Avg: ${bestAvgReward.toFixed(1)}`);
+        if (training) await restoreTrainingState(training);
+    } finally {
+        models.forEach(m => m.dispose());
+        tf.dispose(tensors);
     }
 }
 
-function createModel() {
-    const model = tf.sequential({
-        layers: [
-            tf.layers.dense({ inputShape: [OBS_SIZE], units: 128, activation: 'relu' }),
-            tf.layers.dense({ units: 128, activation: 'relu' }),
-            tf.layers.dense({ units: 64, activation: 'relu' }),
-            tf.layers.dense({ units: NUM_ACTIONS, activation: 'linear' })
-        ]
-    });
-    model.compile({ optimizer: tf.train.adam(LEARNING_RATE), loss: 'meanSquaredError' });
-    return model;
+// Called as episodes are counted, so the file is named after the training episode
+function saveRecording(recording) {
+    recording.meta = { ...recording.meta, source: 'train', episode, totalSteps, variant: VARIANT };
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(RECORDINGS_DIR, `episode-${episode}.json`), JSON.stringify(recording));
 }
 
 function copyWeights(source, target) {
     target.setWeights(source.getWeights());
 }
 
-function selectAction(state) {
-    if (Math.random() < epsilon) {
-        return Math.floor(Math.random() * NUM_ACTIONS);
-    }
-    return tf.tidy(() => {
-        const stateTensor = tf.tensor2d([state]);
-        const qValues = qNetwork.predict(stateTensor);
-        return qValues.argMax(1).dataSync()[0];
-    });
+// Linear PER schedule over env steps; alpha only moves when configured to
+function perSchedule() {
+    const progress = Math.min(1, totalSteps / PER_ANNEAL_STEPS);
+    return {
+        alpha: PER_ALPHA_START + (PER_ALPHA_END - PER_ALPHA_START) * progress,
+        beta: PER_BETA_START + (PER_BETA_END - PER_BETA_START) * progress
+    };
 }
 
 async function replay() {
     if (memory.length() < BATCH_SIZE) return 0;
 
-    const batch = memory.sample(BATCH_SIZE);
-    const states = batch.map(e => Array.from(e.state));
-    const nextStates = batch.map(e => Array.from(e.nextState));
-    const actions = batch.map(e => e.action);
-    const rewards = batch.map(e => e.reward);
-    const dones = batch.map(e => e.done ? 0 : 1);
-
-    const statesTensor = tf.tensor2d(states);
-    const nextStatesTensor = tf.tensor2d(nextStates);
-
-    // Current Q-values
-    const currentQs = qNetwork.predict(statesTensor);
+    let batch, indices, isWeights;
+    if (config.per) {
+        const { alpha, beta } = perSchedule();
+        // Rebuilding the tree is O(MEMORY_SIZE), so round alpha to 0.01 steps
+        memory.setAlpha(Math.round(alpha * 100) / 100);
+        ({ items: batch, indices, weights: isWeights } = memory.sample(BATCH_SIZE, beta));
+    } else {
+        batch = memory.sample(BATCH_SIZE);
+    }
+    const statesTensor = toBatchTensor(batch.map(e => e.state));
+    const nextStatesTensor = toBatchTensor(batch.map(e => e.nextState));
 
-    // Next Q-values from target network
-    const nextQs = targetNetwork.predict(nextStatesTensor);
-    const maxNextQs = nextQs.max(1);
+    // Targets: n-step return + γ^n * Q_target(s', a') (discount is 0 after game over).
+    // Plain DQN takes a' = argmax Q_target; Double DQN picks a' with the online
+    // network and lets the target network score it.
+    const targets = tf.tidy(() => {
+        const nextQs = targetNetwork.predict(nextStatesTensor);
+        const nextValues = VARIANT.double
+            ? nextQs.mul(tf.oneHot(qNetwork.predict(nextStatesTensor).argMax(1), NUM_ACTIONS)).sum(1)
+            : nextQs.max(1);
+        const rewards = tf.tensor1d(batch.map(e => e.reward));
+        const discounts = tf.tensor1d(batch.map(e => e.discount));
+        return rewards.add(nextValues.mul(discounts));
+    });
+    const actionMask = tf.oneHot(tf.tensor1d(batch.map(e => e.action), 'int32'), NUM_ACTIONS);
+    const sampleWeights = isWeights ? tf.tensor1d(isWeights) : undefined;
 
-    // Compute targets: reward + gamma * Q(s', best_action) * (1 - done)
-    const rewardsTensor = tf.tensor1d(rewards);
-    const donesTensor = tf.tensor1d(dones);
-    const targetValues = rewardsTensor.add(tf.mul(maxNextQs, tf.mul(donesTensor, GAMMA)));
+    // Regress Q(s, a) for the taken action only, weighted by the PER
+    // importance-sampling corrections when sampling is prioritized
+    const weights = qNetwork.trainableWeights.map(w => w.read());
+    let tdErrors;
+    const { value: lossTensor, grads } = tf.variableGrads(() => {
+        const qs = qNetwork.apply(statesTensor, { training: true }).mul(actionMask).sum(1);
+        tdErrors = tf.keep(targets.sub(qs));
+        return VARIANT.loss === 'huber'
+            ? tf.losses.huberLoss(targets, qs, sampleWeights)
+            : tf.losses.meanSquaredError(targets, qs, sampleWeights);
+    }, weights);
 
-    // Build target Q-values: copy current, replace action col with target
-    const currentQsData = currentQs.arraySync();
-    const targetQsData = currentQsData.map(row => [...row]);
-    const targetValuesData = targetValues.dataSync();
-    for (let i = 0; i < BATCH_SIZE; i++) {
-        targetQsData[i][actions[i]] = targetValuesData[i];
-    }
-    const targetTensor = tf.tensor2d(targetQsData);
+    const applied = VARIANT.clipNorm > 0 ? clipByGlobalNorm(grads, VARIANT.clipNorm) : grads;
+    qNetwork.optimizer.applyGradients(applied);
+    const loss = (await lossTensor.data())[0];
 
-    // Train - await the Promise to get actual loss value
-    const loss = await qNetwork.trainOnBatch(statesTensor, targetTensor);
+    if (config.per) memory.updatePriorities(indices, await tdErrors.data());
 
     // Clean up
-    statesTensor.dispose();
-    nextStatesTensor.dispose();
-    currentQs.dispose();
-    nextQs.dispose();
-    maxNextQs.dispose();
-    rewardsTensor.dispose();
-    donesTensor.dispose();
-    targetValues.dispose();
-    targetTensor.dispose();
+    tf.dispose([statesTensor, nextStatesTensor, targets, actionMask, sampleWeights, tdErrors, lossTensor, grads, applied]);
 
     return loss;
 }
 
-async function runEpisode(env) {
-    let obs = env.reset();
-    env.launch();
-    let totalReward = 0;
-    let steps = 0;
+// Move to the next curriculum stage once the episodes played on this one
+// (at least AVG_WINDOW of them) average a game reward of advanceAt or more
+function advanceCurriculum() {
+    const { advanceAt } = CURRICULUM[stage];
+    if (stage === CURRICULUM.length - 1 || episode - stageStartEpisode < AVG_WINDOW) return;
+    const recent = rawRewardHistory.slice(-AVG_WINDOW);
+    const avgRawReward = recent.reduce((a, b) => a + b, 0) / recent.length;
+    if (avgRawReward < advanceAt) return;
 
-    while (steps < MAX_STEPS_PER_EPISODE && running) {
-        const action = selectAction(obs);
-        const { obs: nextObs, reward, done, info } = env.step(action);
+    stage++;
+    stageStartEpisode = episode;
+    // Averages from an easier stage can't be beaten on a harder one, so
+    // model.best starts over
+    bestAvgReward = -Infinity;
+    console.log(`Curriculum: avg game reward ${avgRawReward.toFixed(1)} reached ${advanceAt}, ` +
+        `moving to stage ${stage + 1}/${CURRICULUM.length} (${describeStage(CURRICULUM[stage])})`);
+}
 
-        memory.push({ state: obs, action, reward, nextState: nextObs, done });
-        totalReward += reward;
-        obs = nextObs;
-        steps++;
-        totalSteps++;
+function endEpisode() {
+    // Actors keep their fixed Ape-X epsilons and PPO explores through its
+    // policy; only the local DQN loop anneals
+    if (ALGO === 'dqn' && NUM_ACTORS === 0) {
+        epsilon = Math.max(EPSILON_END, epsilon * EPSILON_DECAY);
+    }
+    
+    // Learning rate decay
+    if (episode % config.lrDecayEvery === 0 && episode > 0) {
+        const optimizer = ppo ? ppo.optimizer : qNetwork.optimizer;
+        optimizer.learningRate = learningRateAt(episode);
+    }
+}
 
-        if (totalSteps % 4 === 0) {
-            const loss = await replay();
-            if (loss) lossHistory.push(loss);
-        }
+// Decayed every lrDecayEvery episodes, down to lrMin
+function learningRateAt(episodes) {
+    const decays = Math.floor(episodes / config.lrDecayEvery);
+    return decays > 0 ? Math.max(LEARNING_RATE * Math.pow(config.lrDecay, decays), config.lrMin) : LEARNING_RATE;
+}
 
-        if (totalSteps % TARGET_UPDATE_FREQ === 0) {
-            copyWeights(qNetwork, targetNetwork);
-        }
+// Step all envs once and store every transition. Returns the next stacked
+// observation and the episodes that finished on this step.
+async function collectStep(vecEnv, obs) {
+    const actions = selectActions(qNetwork, obs, OBS_SHAPE, epsilon, random);
+    const { obs: nextObs, rewards, dones, infos } = vecEnv.step(actions);
+    const size = vecEnv.obsSize;
+    const finished = [];
 
-        if (done) break;
+    for (let i = 0; i < NUM_ENVS; i++) {
+        const state = storeObs(obs.slice(i * size, (i + 1) * size));
+        const nextState = storeObs(infos[i].terminalObs || nextObs.slice(i * size, (i + 1) * size));
+        const transition = { state, action: actions[i], reward: rewards[i], nextState, done: dones[i] };
+        nStepAccumulators[i].push(transition, !!infos[i].episode).forEach(t => memory.push(t));
+        if (infos[i].episode) finished.push(infos[i].episode);
     }
 
-    epsilon = Math.max(EPSILON_END, epsilon * EPSILON_DECAY);
-    
-    // Learning rate decay
-    if (episode % 1000 === 0 && episode > 0) {
-        const newLr = LEARNING_RATE * Math.pow(0.95, episode / 1000);
-        qNetwork.optimizer.learningRate = Math.max(newLr, 0.0001);
+    const prevSteps = totalSteps;
+    totalSteps += NUM_ENVS;
+
+    // Train on a vector-step schedule (as SB3 does): each gradient step sees
+    // NUM_ENVS times more fresh transitions, which is where --envs speeds up
+    vecSteps++;
+    if (vecSteps % TRAIN_EVERY === 0) {
+        const loss = await replay();
+        if (loss) lossHistory.push(loss);
     }
-    
-    return totalReward;
+
+    if (Math.floor(totalSteps / TARGET_UPDATE_FREQ) !== Math.floor(prevSteps / TARGET_UPDATE_FREQ)) {
+        copyWeights(qNetwork, targetNetwork);
+    }
+
+    return { nextObs, finished };
 }
 
 async function init() {
@@ -264,103 +662,365 @@ async function init() {
      await tf.setBackend('cpu');
      await tf.ready();
      console.log(`Backend: ${tf.getBackend()}`);
+     console.log(`Observation: ${ENV_CONFIG.obsMode} [${OBS_SHAPE}]`);
+     console.log(`Levels: ${createEnv(ENV_CONFIG).levelNames.join(', ')}`);
+     console.log(`Reward: ${ENV_CONFIG.reward}`);
+     console.log(`Physics: ${ENV_CONFIG.physics}${ENV_CONFIG.substeps > 1 ? `, ${ENV_CONFIG.substeps} substeps` : ''}`);
+     if (CURRICULUM) {
+         console.log(`Curriculum: ${CURRICULUM.length} stages`);
+         CURRICULUM.forEach((s, i) => {
+             // Fail now rather than when training reaches a stage with bad options
+             createEnv({ ...ENV_CONFIG, ...stageOptions(s) });
+             console.log(`  ${i + 1}. ${describeStage(s)}${i < CURRICULUM.length - 1 ? ` until avg ${s.advanceAt}` : ''}`);
+         });
+     }
+     console.log(`Variant: ${Object.entries(VARIANT).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+     if (config.per) {
+         console.log(`Replay: prioritized (α ${PER_ALPHA_START}→${PER_ALPHA_END}, β ${PER_BETA_START}→${PER_BETA_END} over ${PER_ANNEAL_STEPS} steps)`);
+     }
+     console.log(`Environments: ${NUM_ENVS}${NUM_ACTORS > 0 ? ` per actor` : ''}`);
+     if (NUM_ACTORS > 0) {
+         console.log(`Actors: ${NUM_ACTORS} (ε = ${ACTOR_EPSILONS.map(e => e.toFixed(4)).join(', ')})`);
+     }
 
-     qNetwork = createModel();
-     targetNetwork = createModel();
-     copyWeights(qNetwork, targetNetwork);
+     if (ALGO === 'ppo') {
+         ppo = new PPOTrainer(OBS_SHAPE, {
+             learningRate: LEARNING_RATE,
+             gamma: GAMMA,
+             lambda: config.gaeLambda,
+             clipRatio: config.ppoClip,
+             entropyCoef: config.entropyCoef,
+             valueCoef: config.valueCoef,
+             epochs: config.ppoEpochs,
+             minibatchSize: config.ppoMinibatch,
+             rolloutSteps: config.ppoSteps,
+             maxGradNorm: config.ppoMaxGradNorm,
+             hiddenUnits: VARIANT.hiddenUnits,
+             random
+         });
+     } else {
+         const modelOptions = { dueling: VARIANT.dueling, hiddenUnits: VARIANT.hiddenUnits };
+         qNetwork = createModel(OBS_SHAPE, LEARNING_RATE, modelOptions);
+         targetNetwork = createModel(OBS_SHAPE, LEARNING_RATE, modelOptions);
+         copyWeights(qNetwork, targetNetwork);
+     }
      console.log('Models created\n');
 
-     // Initialize CSV log file
+     if (RUN_NAME) {
+         fs.mkdirSync(RUN_DIR, { recursive: true });
+         console.log(`Run: ${RUN_NAME} (${path.relative(__dirname, RUN_DIR)}/)`);
+     }
+
+     // Initialize CSV log file, setting aside a log written with older columns
+     if (fs.existsSync(LOG_FILE)) {
+         const header = fs.readFileSync(LOG_FILE, 'utf-8').split('\n')[0];
+         if (header !== LOG_HEADER) {
+             const archived = LOG_FILE.replace(/\.csv$/, `-${Date.now()}.csv`);
+             fs.renameSync(LOG_FILE, archived);
+             console.log(`Log columns changed, moved old log to ${path.basename(archived)}`);
+         }
+     }
      if (!fs.existsSync(LOG_FILE)) {
-         fs.writeFileSync(LOG_FILE, 'episode,reward,avg100,best_avg,epsilon,steps_per_sec,loss,memory_usage,elapsed_sec\n');
+         fs.writeFileSync(LOG_FILE, LOG_HEADER + '\n');
      }
 
      // Check for --resume flag
-     if (config.resume) {
-         await loadCheckpoint();
+     const resumed = resume && await loadCheckpoint();
+
+     if (config.demos) await useDemonstrations(resumed);
+
+     // Freeze the resolved config next to the run's checkpoints and log. Written
+     // after the checkpoint check so a refused resume leaves it untouched
+     if (RUN_NAME) {
+         fs.writeFileSync(RUN_CONFIG, JSON.stringify(config, null, 2) + '\n');
      }
 
      return true;
  }
 
-async function main() {
-    await init();
-    
-    const env = createEnv();
-    let startTime = Date.now();
-    let lastUpdateTime = startTime;
-    let lastUpdateSteps = 0;
+// Pre-fill replay memory with demo transitions and, unless continuing a
+// checkpoint, pretrain the network to imitate the demonstrated actions
+async function useDemonstrations(resumed) {
+    const demos = loadDemonstrations(config.demos, ENV_CONFIG);
+    const transitions = demos.flatMap(d => d.transitions);
+    console.log(`Demonstrations: ${demos.length} episodes, ${transitions.length} steps`);
+    if (transitions.length === 0) return;
 
-    console.log('Training started. Press Ctrl+C to stop.\n');
+    if (!ppo && config.demoPrefill) {
+        for (const demo of demos) {
+            const accumulator = new NStepAccumulator(VARIANT.nStep, GAMMA);
+            demo.transitions.forEach((t, i) => {
+                const stored = { ...t, state: storeObs(t.state), nextState: storeObs(t.nextState) };
+                accumulator.push(stored, i === demo.transitions.length - 1).forEach(ready => memory.push(ready));
+            });
+        }
+        console.log(`  Replay memory pre-filled to ${memory.length()}/${MEMORY_SIZE}`);
+    }
+
+    if (config.bcEpochs > 0 && !resumed) {
+        const loss = await behaviorClone(
+            ppo ? ppo.policy : qNetwork,
+            ppo ? ppo.optimizer : qNetwork.optimizer,
+            transitions,
+            OBS_SHAPE,
+            { epochs: config.bcEpochs, batchSize: BATCH_SIZE, loss: ppo ? 'crossEntropy' : 'margin', margin: config.bcMargin, random }
+        );
+        if (!ppo) copyWeights(qNetwork, targetNetwork);
+        console.log(`  Behavior cloning: ${config.bcEpochs} epochs, final loss ${loss.toFixed(4)}`);
+    }
+    console.log('');
+}
 
-    while (running) {
+// Book-keep finished episodes, then print, log and checkpoint at most once a
+// second (or every 10 episodes)
+async function recordEpisodes(finished) {
+    const prevEpisode = episode;
+    for (const { reward, rawReward, recording } of finished) {
         episode++;
-        const reward = await runEpisode(env);
         rewardHistory.push(reward);
+        rawRewardHistory.push(rawReward);
+        if (recording) saveRecording(recording);
+        endEpisode();
+    }
+    // Logged with the stage these episodes were played on
+    const playedStage = stage;
+    if (CURRICULUM) advanceCurriculum();
+    const reward = finished[finished.length - 1].reward;
 
-        const now = Date.now();
-        if (now - lastUpdateTime >= 1000 || episode % 10 === 0) {
-            const elapsed = (now - startTime) / 1000;
-            const stepsPerSec = (totalSteps - lastUpdateSteps) / ((now - lastUpdateTime) / 1000);
-            
-            const last100 = rewardHistory.slice(-100);
-            const avgReward = last100.length > 0 ? last100.reduce((a, b) => a + b, 0) / last100.length : 0;
-            
-            const lossEma = lossHistory.length > 0 ? lossHistory.slice(-20).reduce((a, b) => a + b, 0) / 20 : 0;
-
-            // Save every 1000 steps
-            if (totalSteps - lastSaveStep >= 1000) {
-                await saveCheckpoint(MODEL_DIR);
-                lastSaveStep = totalSteps;
-
-                // Save best model if avg reward improved
-                if (avgReward > bestAvgReward && rewardHistory.length >= 100) {
-                    bestAvgReward = avgReward;
-                    await saveCheckpoint(BEST_DIR, true);
+    const now = Date.now();
+    if (now - lastUpdateTime < 1000 && Math.floor(episode / 10) === Math.floor(prevEpisode / 10)) return;
+
+    const elapsed = (now - startTime) / 1000;
+    const interval = (now - lastUpdateTime) / 1000;
+    const stepsPerSec = (totalSteps - lastUpdateSteps) / interval;
+    const actorRates = actorSteps.map((steps, i) => (steps - lastActorSteps[i]) / interval);
+    
+    const recent = rewardHistory.slice(-AVG_WINDOW);
+    const avgReward = recent.length > 0 ? recent.reduce((a, b) => a + b, 0) / recent.length : 0;
+    
+    const lossEma = lossHistory.length > 0 ? lossHistory.slice(-20).reduce((a, b) => a + b, 0) / 20 : 0;
+
+    // With actors, report their mean epsilon; PPO has none
+    const shownEpsilon = ppo ? 0 : NUM_ACTORS > 0
+        ? ACTOR_EPSILONS.reduce((a, b) => a + b, 0) / NUM_ACTORS
+        : epsilon;
+
+    // Save every SAVE_EVERY steps
+    if (totalSteps - lastSaveStep >= SAVE_EVERY) {
+        await saveCheckpoint(MODEL_DIR);
+        lastSaveStep = totalSteps;
+
+        if (EVAL_EPISODES > 0) {
+            // Rank model.best by greedy play on fixed seeds, which unlike the
+            // training average is free of exploration noise
+            if (totalSteps - lastEvalStep >= EVAL_EVERY) {
+                lastEvalStep = totalSteps;
+                lastEvalScore = evaluate(ppo ? ppo.policy : qNetwork, {
+                    envConfig: ENV_CONFIG,
+                    episodes: EVAL_EPISODES,
+                    seed: config.evalSeed,
+                    maxSteps: MAX_STEPS_PER_EPISODE
+                }).summary.score.mean;
+                if (lastEvalScore > bestEvalScore) {
+                    bestEvalScore = lastEvalScore;
+                    await saveCheckpoint(BEST_DIR);
                 }
             }
+        } else if (avgReward > bestAvgReward && rewardHistory.length >= AVG_WINDOW) {
+            // Save best model if avg reward improved
+            bestAvgReward = avgReward;
+            await saveCheckpoint(BEST_DIR);
+        }
+    }
+    if (config.fullCheckpoint && totalSteps - lastFullSaveStep >= FULL_SAVE_EVERY) {
+        await saveCheckpoint(FULL_DIR);
+        lastFullSaveStep = totalSteps;
+    }
+
+    console.log(
+        `[${episode.toString().padStart(5)}] ` +
+        `reward=${reward.toFixed(0).padStart(6)} ` +
+        `avg100=${avgReward.toFixed(1).padStart(7)} ` +
+        `best=${bestAvgReward === -Infinity ? '   N/A' : bestAvgReward.toFixed(1).padStart(6)} ` +
+        `ε=${shownEpsilon.toFixed(4)} ` +
+        `steps/s=${stepsPerSec.toFixed(0).padStart(5)} ` +
+        (NUM_ACTORS > 0 ? `actors=[${actorRates.map(r => r.toFixed(0)).join(' ')}] ` : '') +
+        `loss=${lossEma.toFixed(4).padStart(7)} ` +
+        (lastEvalScore === null ? '' : `eval=${lastEvalScore.toFixed(1)} (best ${bestEvalScore.toFixed(1)}) `) +
+        (ppo ? '' : `mem=${memory.length()}/${MEMORY_SIZE} `) +
+        (CURRICULUM ? `stage=${playedStage + 1}/${CURRICULUM.length} ` : '') +
+        `elapsed=${elapsed.toFixed(1)}s`
+    );
+
+    // Log to CSV (per-actor steps/s are '|'-separated within their column)
+    const bestAvgValue = bestAvgReward === -Infinity ? '' : bestAvgReward.toFixed(1);
+    const actorValue = actorRates.map(r => r.toFixed(0)).join('|');
+    const stageValue = CURRICULUM ? playedStage + 1 : '';
+    const logLine = `${episode},${reward.toFixed(0)},${avgReward.toFixed(1)},${bestAvgValue},${shownEpsilon.toFixed(4)},${stepsPerSec.toFixed(0)},${lossEma.toFixed(4)},${memory.length()},${elapsed.toFixed(1)},${actorValue},${stageValue}`;
+    fs.appendFileSync(LOG_FILE, logLine + '\n');
 
-            console.log(
-                `[${episode.toString().padStart(5)}] ` +
-                `reward=${reward.toFixed(0).padStart(6)} ` +
-                `avg100=${avgReward.toFixed(1).padStart(7)} ` +
-                `best=${bestAvgReward === -Infinity ? '   N/A' : bestAvgReward.toFixed(1).padStart(6)} ` +
-                `ε=${epsilon.toFixed(4)} ` +
-                `steps/s=${stepsPerSec.toFixed(0).padStart(5)} ` +
-                `loss=${lossEma.toFixed(4).padStart(7)} ` +
-                `mem=${memory.length()}/${MEMORY_SIZE} ` +
-                `elapsed=${elapsed.toFixed(1)}s`
-            );
-
-            // Log to CSV
-            const bestAvgValue = bestAvgReward === -Infinity ? '' : bestAvgReward.toFixed(1);
-            const logLine = `${episode},${reward.toFixed(0)},${avgReward.toFixed(1)},${bestAvgValue},${epsilon.toFixed(4)},${stepsPerSec.toFixed(0)},${lossEma.toFixed(4)},${memory.length()},${elapsed.toFixed(1)}`;
-            fs.appendFileSync(LOG_FILE, logLine + '\n');
-
-            lastUpdateTime = now;
-            lastUpdateSteps = totalSteps;
+    lastUpdateTime = now;
+    lastUpdateSteps = totalSteps;
+    lastActorSteps = [...actorSteps];
+}
+
+// Single-thread loop: act and learn in turn on one VecEnv
+async function trainLocal() {
+    let obs = startTrainingEnvs();
+
+    while (keepTraining()) {
+        const { nextObs, finished } = await collectStep(trainingEnvs.vecEnv, obs);
+        obs = nextObs;
+        if (finished.length > 0) await recordEpisodes(finished);
+
+        // A new curriculum stage starts on fresh envs, dropping the episodes in progress
+        if (trainingEnvs.stage !== stage) obs = startTrainingEnvs();
+
+        // Let Ctrl+C through; awaiting tensor data alone never reaches the event loop
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// On-policy loop: collect a rollout from every env, then run the PPO epochs on it
+async function trainPPO() {
+    let obs = startTrainingEnvs();
+
+    while (keepTraining()) {
+        const { rollout, nextObs, finished } = ppo.collect(trainingEnvs.vecEnv, obs);
+        obs = nextObs;
+        totalSteps += rollout.actions.length;
+        lossHistory.push(await ppo.update(rollout));
+        if (finished.length > 0) await recordEpisodes(finished);
+
+        if (trainingEnvs.stage !== stage) obs = startTrainingEnvs();
+
+        // Let Ctrl+C through between rollouts
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// Unpack a transition batch posted by an actor into replay memory
+function receiveTransitions(msg, finished) {
+    const { actorId, count, steps, states, nextStates, actions, rewards, discounts, episodes } = msg;
+    const size = OBS_SHAPE.reduce((a, b) => a * b, 1);
+    for (let i = 0; i < count; i++) {
+        memory.push({
+            state: storeObs(states.subarray(i * size, (i + 1) * size)),
+            action: actions[i],
+            reward: rewards[i],
+            nextState: storeObs(nextStates.subarray(i * size, (i + 1) * size)),
+            discount: discounts[i]
+        });
+    }
+
+    const prevSteps = totalSteps;
+    totalSteps += steps;
+    actorSteps[actorId] += steps;
+    if (Math.floor(totalSteps / TARGET_UPDATE_FREQ) !== Math.floor(prevSteps / TARGET_UPDATE_FREQ)) {
+        copyWeights(qNetwork, targetNetwork);
+    }
+    finished.push(...episodes);
+}
+
+// Actor/learner split: K worker threads generate experience while this
+// thread owns replay memory and does nothing but train
+async function trainWithActors() {
+    const finished = [];
+    const workers = ACTOR_EPSILONS.map((actorEpsilon, actorId) => {
+        const worker = new Worker(new URL('./actor.mjs', import.meta.url), {
+            workerData: {
+                actorId,
+                epsilon: actorEpsilon,
+                envConfig: trainingEnvConfig(),
+                numEnvs: NUM_ENVS,
+                maxSteps: MAX_STEPS_PER_EPISODE,
+                record: RECORD,
+                dueling: VARIANT.dueling,
+                hiddenUnits: VARIANT.hiddenUnits,
+                nStep: VARIANT.nStep,
+                gamma: GAMMA,
+                stepsPerMessage: ACTOR_STEPS_PER_MESSAGE
+            }
+        });
+        worker.on('message', msg => receiveTransitions(msg, finished));
+        worker.on('error', err => {
+            console.error(`Actor ${actorId} failed:`, err);
+            running = false;
+        });
+        return worker;
+    });
+
+    const syncWeights = () => {
+        const weights = exportWeights(qNetwork);
+        workers.forEach(w => w.postMessage({ type: 'weights', weights }));
+    };
+    syncWeights();
+
+    let learnerSteps = 0;
+    let envStage = stage;
+    while (keepTraining()) {
+        // Yield to the event loop so actor messages are delivered
+        await new Promise(resolve => setImmediate(resolve));
+
+        if (finished.length > 0) await recordEpisodes(finished.splice(0));
+        if (envStage !== stage) {
+            envStage = stage;
+            workers.forEach(w => w.postMessage({ type: 'env', envConfig: trainingEnvConfig() }));
         }
+
+        if (memory.length() < BATCH_SIZE) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            continue;
+        }
+
+        const loss = await replay();
+        if (loss) lossHistory.push(loss);
+        learnerSteps++;
+        if (learnerSteps % WEIGHT_SYNC_FREQ === 0) syncWeights();
     }
 
-    console.log('\nTraining stopped');
-    process.exit(0);
+    await Promise.all(workers.map(w => w.terminate()));
 }
 
-// Handle Ctrl+C gracefully
-process.on('SIGINT', async () => {
-    console.log('\nShutting down...');
-    running = false;
+async function main() {
+    await init();
 
-    // Save final checkpoint
+    startTime = Date.now();
+    lastUpdateTime = startTime;
+    lastUpdateSteps = totalSteps;
+
+    console.log('Training started. Press Ctrl+C to stop.\n');
+
+    if (ALGO === 'ppo') {
+        await trainPPO();
+    } else if (NUM_ACTORS > 0) {
+        await trainWithActors();
+    } else {
+        await trainLocal();
+    }
+
+    // The final checkpoint is saved here, once the loop has stopped, so it
+    // can't catch training half-way through a step
+    console.log('\nTraining stopped');
     console.log('Saving checkpoint...');
     try {
         await saveCheckpoint(MODEL_DIR);
-        console.log('Checkpoint saved to ./model/');
+        console.log(`Checkpoint saved to ./${path.relative(__dirname, MODEL_DIR)}/`);
+        if (config.fullCheckpoint) {
+            await saveCheckpoint(FULL_DIR);
+            console.log(`Full checkpoint saved to ./${path.relative(__dirname, FULL_DIR)}/`);
+        }
     } catch (err) {
         console.error('Failed to save checkpoint:', err.message);
     }
-
     process.exit(0);
+}
+
+// Handle Ctrl+C gracefully; a second one quits without saving
+process.on('SIGINT', () => {
+    if (!running) process.exit(1);
+    console.log('\nShutting down...');
+    running = false;
 });
 
 main().catch(e => {
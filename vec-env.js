@@ -0,0 +1,113 @@
+/**
+ * Vectorized Breakout: steps N env.js instances in lockstep.
+ * Finished episodes are reset (and relaunched) automatically, so every slot
+ * always holds a live episode and observations come back as one batch.
+ */
+
+import { createEnv } from './env.js';
+import { createRecorder } from './recording.js';
+import { TimeLimit, EpisodeStatistics } from './wrappers.js';
+
+// config.record = { every, rewards, obs, info } records every Nth episode
+// started (see recording.js); the recording comes back in infos[i].episode
+export function createVecEnv(numEnvs, config = {}) {
+    const { maxSteps: maxStepsOption, record, ...envConfig } = config;
+    const maxSteps = maxStepsOption || Infinity;
+    const envs = Array.from({ length: numEnvs }, (_, i) => EpisodeStatistics(TimeLimit(createEnv({
+        ...envConfig,
+        // Give each slot its own stream when seeded
+        seed: envConfig.seed === undefined ? undefined : envConfig.seed + i
+    }), maxSteps)));
+    const { seed, ...recordedConfig } = envConfig;
+    const obsShape = envs[0].obsShape;
+    const obsSize = obsShape.reduce((a, b) => a * b, 1);
+
+    const recorders = new Array(numEnvs).fill(null);
+    let episodesStarted = 0;
+
+    function resetEnv(i) {
+        const env = envs[i];
+        env.reset();
+        env.launch();
+        recorders[i] = record && episodesStarted % record.every === 0
+            ? createRecorder(env, recordedConfig, record)
+            : null;
+        episodesStarted++;
+        return env.getObs();
+    }
+
+    // Stacked observations: numEnvs rows of obsSize, row-major
+    function reset() {
+        const obs = new Float32Array(numEnvs * obsSize);
+        for (let i = 0; i < numEnvs; i++) obs.set(resetEnv(i), i * obsSize);
+        return obs;
+    }
+
+    // Step every env with its action. dones[i] is set on game over only; an
+    // episode cut at maxSteps has infos[i].truncated instead. For an env whose
+    // episode ended either way, the returned row is already the first
+    // observation of the next episode; the final observation is kept in
+    // infos[i].terminalObs along with infos[i].episode (see EpisodeStatistics).
+    function step(actions) {
+        const obs = new Float32Array(numEnvs * obsSize);
+        const rewards = new Float32Array(numEnvs);
+        const dones = new Array(numEnvs).fill(false);
+        const infos = new Array(numEnvs);
+
+        for (let i = 0; i < numEnvs; i++) {
+            const obsBefore = recorders[i] && record.obs ? envs[i].getObs() : null;
+            const result = envs[i].step(actions[i]);
+            if (recorders[i]) recorders[i].record(actions[i], result, obsBefore);
+            const info = { ...result.info };
+            rewards[i] = result.reward;
+            dones[i] = result.terminated;
+
+            let next = result.obs;
+            if (result.terminated || result.truncated) {
+                info.truncated = result.truncated;
+                info.terminalObs = result.obs;
+                if (recorders[i]) info.episode.recording = recorders[i].finish({ truncated: info.truncated });
+                next = resetEnv(i);
+            }
+            obs.set(next, i * obsSize);
+            infos[i] = info;
+        }
+
+        return { obs, rewards, dones, infos };
+    }
+
+    // Every slot's game, step count and episode totals as plain JSON, so
+    // training can carry on exactly where it stopped. Recordings in progress
+    // aren't kept: those episodes go unrecorded after a restore.
+    function serialize() {
+        return {
+            episodesStarted,
+            envs: envs.map(env => ({ game: env.serialize(), elapsed: env.getElapsed(), episode: env.getEpisode() }))
+        };
+    }
+
+    // Returns the stacked observations to continue from
+    function restore(snapshot) {
+        if (snapshot.envs.length !== numEnvs) throw new Error(`snapshot has ${snapshot.envs.length} envs, this VecEnv ${numEnvs}`);
+        const obs = new Float32Array(numEnvs * obsSize);
+        snapshot.envs.forEach(({ game, elapsed, episode }, i) => {
+            obs.set(envs[i].restore(game), i * obsSize);
+            envs[i].setElapsed(elapsed);
+            envs[i].setEpisode(episode);
+            recorders[i] = null;
+        });
+        episodesStarted = snapshot.episodesStarted;
+        return obs;
+    }
+
+    return {
+        numEnvs,
+        obsShape,
+        obsSize,
+        envs,
+        reset,
+        step,
+        serialize,
+        restore
+    };
+}
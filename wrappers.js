@@ -0,0 +1,175 @@
+/**
+ * Composable wrappers for env.js environments, in the spirit of Gymnasium's.
+ * Each takes an env (or another wrapper) and returns an object with the same
+ * interface; whatever a wrapper doesn't override is read from the env inside,
+ * and env.unwrapped is always the bare game.
+ *
+ *   const env = EpisodeStatistics(TimeLimit(FrameSkip(createEnv(), 4), 2500));
+ *
+ * serialize()/restore() pass straight through to the game: wrapper state
+ * (step counts, sticky action, running statistics) isn't part of a snapshot.
+ * TimeLimit and EpisodeStatistics expose theirs separately for VecEnv.serialize().
+ */
+
+import { createRng } from './env.js';
+
+function wrap(env, overrides) {
+    return Object.assign(Object.create(env), { unwrapped: env.unwrapped || env }, overrides);
+}
+
+// Ends episodes after maxSteps steps with truncated = true. terminated (and
+// the older done) stay false, so learners can still bootstrap from the cut.
+export function TimeLimit(env, maxSteps) {
+    let elapsed = 0;
+    return wrap(env, {
+        maxSteps,
+        reset(options) {
+            elapsed = 0;
+            return env.reset(options);
+        },
+        step(action) {
+            const result = env.step(action);
+            elapsed++;
+            if (elapsed >= maxSteps && !result.terminated) return { ...result, truncated: true };
+            return result;
+        },
+        getElapsed: () => elapsed,
+        setElapsed(steps) {
+            elapsed = steps;
+        }
+    });
+}
+
+// Merge the info of consecutive steps: brick lists are concatenated, flags
+// OR'ed and rawReward summed; score, lives and level come from the last step
+function mergeInfo(total, info) {
+    const merged = { ...info };
+    for (const [key, value] of Object.entries(total)) {
+        if (Array.isArray(value)) merged[key] = [...value, ...info[key]];
+        else if (typeof value === 'boolean') merged[key] = value || info[key];
+        else if (key === 'rawReward') merged[key] = value + info[key];
+    }
+    return merged;
+}
+
+// Repeats each action for skip steps, summing the rewards; stops early at
+// the end of an episode. The observation is the last step's.
+export function FrameSkip(env, skip = 4) {
+    return wrap(env, {
+        step(action) {
+            let result = env.step(action);
+            let reward = result.reward;
+            let info = result.info;
+            for (let i = 1; i < skip && !result.terminated && !result.truncated; i++) {
+                result = env.step(action);
+                reward += result.reward;
+                info = mergeInfo(info, result.info);
+            }
+            return { ...result, reward, info };
+        }
+    });
+}
+
+// With probability p the previous action is repeated instead of the chosen
+// one (Machado et al., 2018), so a policy can't rely on exact timing. The
+// action actually played is reported as info.action.
+export function StickyActions(env, { p = 0.25, seed = 0 } = {}) {
+    const rng = createRng(seed);
+    let lastAction = 1;
+    return wrap(env, {
+        reset(options) {
+            lastAction = 1;
+            return env.reset(options);
+        },
+        step(action) {
+            if (rng.next() >= p) lastAction = action;
+            const result = env.step(lastAction);
+            return { ...result, info: { ...result.info, action: lastAction } };
+        }
+    });
+}
+
+// Standardizes each observation value with a running mean and variance
+// (Welford), clipped to [-clip, clip]. update = false freezes the statistics,
+// e.g. for evaluation; getStats()/setStats() carry them between envs.
+export function NormalizeObservation(env, { clip = 10, epsilon = 1e-8, update = true } = {}) {
+    const size = env.obsShape.reduce((a, b) => a * b, 1);
+    let count = 0;
+    let mean = new Float64Array(size);
+    let m2 = new Float64Array(size);
+
+    function observe(obs) {
+        if (update) {
+            count++;
+            for (let i = 0; i < size; i++) {
+                const delta = obs[i] - mean[i];
+                mean[i] += delta / count;
+                m2[i] += delta * (obs[i] - mean[i]);
+            }
+        }
+        return normalize(obs);
+    }
+
+    function normalize(obs) {
+        const out = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const std = Math.sqrt((count > 0 ? m2[i] / count : 1) + epsilon);
+            out[i] = Math.max(-clip, Math.min(clip, (obs[i] - mean[i]) / std));
+        }
+        return out;
+    }
+
+    return wrap(env, {
+        observationSpace: { ...env.observationSpace, low: -clip, high: clip },
+        reset(options) {
+            return observe(env.reset(options));
+        },
+        step(action) {
+            const result = env.step(action);
+            return { ...result, obs: observe(result.obs) };
+        },
+        getObs() {
+            return normalize(env.getObs());
+        },
+        setUpdate(value) {
+            update = value;
+        },
+        getStats() {
+            return { count, mean: Array.from(mean), m2: Array.from(m2) };
+        },
+        setStats(stats) {
+            count = stats.count;
+            mean = Float64Array.from(stats.mean);
+            m2 = Float64Array.from(stats.m2);
+        }
+    });
+}
+
+// Adds info.episode = { reward, rawReward, length, score } on the step that
+// ends an episode, terminated or truncated. getEpisode()/setEpisode() carry
+// the totals of the episode in progress.
+export function EpisodeStatistics(env) {
+    let reward = 0;
+    let rawReward = 0;
+    let length = 0;
+    return wrap(env, {
+        reset(options) {
+            reward = 0;
+            rawReward = 0;
+            length = 0;
+            return env.reset(options);
+        },
+        step(action) {
+            const result = env.step(action);
+            reward += result.reward;
+            rawReward += result.info.rawReward;
+            length++;
+            if (!result.terminated && !result.truncated) return result;
+            return { ...result, info: { ...result.info, episode: { reward, rawReward, length, score: result.info.score } } };
+        },
+        getEpisode: () => ({ reward, rawReward, length }),
+        setEpisode(totals) {
+            ({ reward, rawReward, length } = totals);
+        }
+    });
+}